@@ -19,7 +19,7 @@
 
 (define security-status
   '((command-whitelist . "implemented")
-    (argument-sanitization . "implemented")
+    (argument-validation . "implemented")
     (no-shell-execution . "implemented")
     (codeql-sast . "enabled")
     (scorecard . "enabled")
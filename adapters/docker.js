@@ -8,6 +8,50 @@
  * Included for compatibility. Consider using nerdctl or podman instead.
  */
 
+import { newFileArg, pathArg, positional, positionalList, toArg } from "../lib/argv.js";
+import { parseCommand } from "../lib/shellwords.js";
+import {
+  backgroundParam,
+  cgroupnsParam,
+  commandParam,
+  envParam,
+  eventsParams,
+  imageParam,
+  keyValueFlags,
+  loginParams,
+  logsParams,
+  portFilterParams,
+  portFlags,
+  portsParam,
+  repeatFlag,
+  resourceLimitFlags,
+  resourceLimitParams,
+  securityOptParam,
+  signalParam,
+  targetsParam,
+  timeRangeFlags,
+  volumeFlags,
+  volumesParam,
+  waitParams,
+} from "../lib/params.js";
+import { toolResult } from "../lib/result.js";
+import { resolvePassword } from "../lib/credentials.js";
+import { planned } from "../lib/plan.js";
+import { filterLines, followStream, lineFilter, runUntilExit, streamLines } from "../lib/stream.js";
+import { runOperation } from "../lib/jobs.js";
+import { collectEvents, eventEntry, eventFilter, LIFECYCLE_ACTIONS } from "../lib/events.js";
+import {
+  normalizeContainers,
+  normalizeDiff,
+  normalizeHistory,
+  normalizeImages,
+  normalizeInspect,
+  normalizeNetworks,
+  normalizePortMappings,
+  normalizeProcesses,
+  normalizeVolumes,
+} from "../lib/normalize.js";
+
 const DOCKER_PATH = Deno.env.get("DOCKER_PATH") || "docker";
 const DOCKER_HOST = Deno.env.get("DOCKER_HOST") || "";
 
@@ -16,15 +60,10 @@ const ALLOWED_COMMANDS = [
   "ps", "inspect", "logs", "top", "stats", "port", "diff", "exec", "attach", "cp",
   "export", "images", "pull", "push", "build", "tag", "rmi", "save", "load",
   "image", "history", "network", "volume", "compose", "info", "version", "system",
-  "events", "login", "logout"
+  "events", "login", "logout", "wait"
 ];
 
-function sanitizeArg(arg) {
-  if (typeof arg !== "string") return String(arg);
-  return arg.replace(/[;&|`$(){}[\]<>]/g, "").trim();
-}
-
-async function exec(subcommand, args = []) {
+function commandArgs(subcommand, args) {
   if (!ALLOWED_COMMANDS.includes(subcommand)) {
     throw new Error(`Command not allowed: ${subcommand}`);
   }
@@ -32,15 +71,42 @@ async function exec(subcommand, args = []) {
   const baseArgs = [];
   if (DOCKER_HOST) baseArgs.push("-H", DOCKER_HOST);
 
-  const fullArgs = [...baseArgs, subcommand, ...args.map(sanitizeArg)];
-  const cmd = new Deno.Command(DOCKER_PATH, { args: fullArgs, stdout: "piped", stderr: "piped" });
-  const output = await cmd.output();
+  // Passed verbatim: Deno.Command never invokes a shell
+  return [...baseArgs, subcommand, ...args.map((arg) => toArg(arg))];
+}
+
+// `input` is written to stdin, for secrets that must not appear in argv
+async function exec(subcommand, args = [], { input } = {}) {
+  const fullArgs = commandArgs(subcommand, args);
+  const plan = planned(DOCKER_PATH, fullArgs, { input });
+  if (plan) return plan;
+  const cmd = new Deno.Command(DOCKER_PATH, { args: fullArgs, ...(input !== undefined && { stdin: "piped" }), stdout: "piped", stderr: "piped" });
+  const started = performance.now();
+  const child = cmd.spawn();
+  if (input !== undefined) {
+    const writer = child.stdin.getWriter();
+    await writer.write(new TextEncoder().encode(input));
+    await writer.close();
+  }
+  const output = await child.output();
   const decoder = new TextDecoder();
 
-  return { stdout: decoder.decode(output.stdout), stderr: decoder.decode(output.stderr), code: output.code };
+  return {
+    stdout: decoder.decode(output.stdout),
+    stderr: decoder.decode(output.stderr),
+    code: output.code,
+    argv: [DOCKER_PATH, ...fullArgs],
+    durationMs: Math.round(performance.now() - started),
+  };
+}
+
+// Streaming commands (logs -f), line by line (see lib/stream.js)
+function execStream(subcommand, args, options) {
+  return streamLines(DOCKER_PATH, commandArgs(subcommand, args), options);
 }
 
 function parseJsonOutput(stdout) {
+  try { return JSON.parse(stdout); } catch { /* NDJSON below */ }
   try {
     const lines = stdout.trim().split("\n").filter(Boolean);
     if (lines.length === 0) return [];
@@ -52,6 +118,14 @@ function parseJsonOutput(stdout) {
 export const name = "docker";
 export const description = "Docker CLI - Fallback (prefer nerdctl or podman)";
 
+// How commands are run, for dry runs (see lib/plan.js)
+export const cli = { binary: DOCKER_PATH, globalFlags: { host: DOCKER_HOST || null }, module: import.meta.url };
+
+// Wrap an exec result in the common result envelope (see lib/result.js)
+function envelope(result, parse) {
+  return toolResult(name, result, parse);
+}
+
 export async function connect() {
   const result = await exec("version");
   if (result.code !== 0) throw new Error(`Docker not available: ${result.stderr}`);
@@ -64,222 +138,387 @@ export async function isConnected() {
   catch { return false; }
 }
 
+// Stream runtime events, one JSON object per line (see lib/events.js)
+export function streamEvents(options) { return execStream("events", ["--format", "{{json .}}"], options); }
+
+// Host paths `nested` bind-mounts into the container, at the same place
+const NESTED_MOUNTS = ["/var/run/docker.sock"];
+
+// Container settings shared by docker_run and docker_create
+const containerParams = {
+  image: imageParam,
+  name: { type: "string", format: "name", description: "Container name" },
+  ports: portsParam,
+  env: envParam,
+  volumes: volumesParam,
+  command: commandParam,
+  privileged: { type: "boolean", description: "Run in privileged mode (for nested containers)" },
+  securityOpt: securityOptParam,
+  cgroupns: cgroupnsParam,
+  ...resourceLimitParams,
+  nested: { type: "boolean", description: "Setup for Docker-in-Docker (mounts docker socket)" },
+};
+
+// Arguments for run and create, image and command last
+function containerArgs({ image, name, ports, env, volumes, command, privileged, securityOpt, cgroupns, nested, memory, cpus }) {
+  const commandArgv = parseCommand(command);
+  const args = [];
+  if (name) args.push("--name", name);
+  if (privileged) args.push("--privileged");
+  if (cgroupns) args.push("--cgroupns", cgroupns);
+
+  // Nested container setup - Docker-in-Docker (DinD)
+  if (nested) {
+    for (const path of NESTED_MOUNTS) args.push("-v", `${path}:${path}`);
+    if (!privileged) args.push("--privileged");
+  }
+
+  args.push(...repeatFlag("--security-opt", securityOpt));
+  args.push(...portFlags(ports));
+  args.push(...keyValueFlags("-e", env));
+  args.push(...volumeFlags(volumes));
+  args.push(...resourceLimitFlags({ memory, cpus }));
+  args.push(positional(image, "image"), ...commandArgv);
+  return { args, commandArgv };
+}
+
 export const tools = {
   // Container Lifecycle
   docker_run: {
     description: "Run a container (consider nerdctl_run or podman_run instead)",
-    params: {
-      image: { type: "string", description: "Image to run" },
-      name: { type: "string", description: "Container name" },
-      detach: { type: "boolean", description: "Run in background" },
-      ports: { type: "string", description: "Port mappings" },
-      env: { type: "string", description: "Environment variables (JSON)" },
-      volumes: { type: "string", description: "Volume mounts" },
-      command: { type: "string", description: "Command to run" },
-      privileged: { type: "boolean", description: "Run in privileged mode (for nested containers)" },
-      securityOpt: { type: "string", description: "Security options, comma-separated" },
-      cgroupns: { type: "string", description: "Cgroup namespace mode (host, private)" },
-      nested: { type: "boolean", description: "Setup for Docker-in-Docker (mounts docker socket)" },
+    effect: "mutating",
+    resources: ["containers", "images"],
+    hostMounts: { nested: NESTED_MOUNTS },
+    params: { ...containerParams, detach: { type: "boolean", default: true, description: "Run in background" } },
+    handler: async ({ detach = true, ...params }) => {
+      const { args, commandArgv } = containerArgs(params);
+      const result = await exec("run", detach ? ["-d", ...args] : args);
+      return envelope(result, (stdout) => ({
+        containerId: stdout.trim(),
+        commandArgv,
+        nested: params.nested || false,
+        privileged: params.privileged || params.nested || false,
+      }));
     },
-    handler: async ({ image, name, detach = true, ports, env, volumes, command, privileged, securityOpt, cgroupns, nested }) => {
-      const args = [];
-      if (detach) args.push("-d");
-      if (name) args.push("--name", name);
-      if (privileged) args.push("--privileged");
-      if (cgroupns) args.push("--cgroupns", cgroupns);
-
-      // Nested container setup - Docker-in-Docker (DinD)
-      if (nested) {
-        args.push("-v", "/var/run/docker.sock:/var/run/docker.sock");
-        if (!privileged) args.push("--privileged");
-      }
-
-      if (securityOpt) {
-        securityOpt.split(",").forEach((opt) => args.push("--security-opt", opt.trim()));
-      }
+  },
 
-      if (ports) ports.split(",").forEach((p) => args.push("-p", p.trim()));
-      if (env) {
-        try { Object.entries(JSON.parse(env)).forEach(([k, v]) => args.push("-e", `${k}=${v}`)); }
-        catch { args.push("-e", env); }
-      }
-      if (volumes) volumes.split(",").forEach((v) => args.push("-v", v.trim()));
-      args.push(image);
-      if (command) args.push(...command.split(" "));
-      const result = await exec("run", args);
-      return {
-        containerId: result.stdout.trim(),
-        success: result.code === 0,
-        nested: nested || false,
-        privileged: privileged || nested || false,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+  docker_create: {
+    description: "Create a container without starting it",
+    effect: "mutating",
+    resources: ["containers", "images"],
+    hostMounts: { nested: NESTED_MOUNTS },
+    params: containerParams,
+    handler: async (params) => {
+      const { args, commandArgv } = containerArgs(params);
+      const result = await exec("create", args);
+      return envelope(result, (stdout) => ({
+        containerId: stdout.trim(),
+        commandArgv,
+        nested: params.nested || false,
+        privileged: params.privileged || params.nested || false,
+      }));
     },
   },
 
   docker_ps: {
     description: "List containers",
-    params: { all: { type: "boolean", description: "Show all" } },
-    handler: async ({ all = false }) => {
+    effect: "read",
+    resources: ["containers"],
+    params: { all: { type: "boolean", description: "Show all" }, raw: { type: "boolean", description: "Raw payload per entry" } },
+    handler: async ({ all = false, raw = false }) => {
       const args = ["--format", "json"];
       if (all) args.push("-a");
       const result = await exec("ps", args);
-      return { containers: parseJsonOutput(result.stdout) };
+      return envelope(result, (stdout) => ({ containers: normalizeContainers(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   docker_stop: {
     description: "Stop containers",
-    params: { containers: { type: "string", description: "Container(s)" } },
+    effect: "idempotent",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
     handler: async ({ containers }) => {
-      const result = await exec("stop", containers.split(",").map((c) => c.trim()));
-      return { stopped: containers.split(","), success: result.code === 0 };
+      const targets = positionalList(containers, "containers");
+      const result = await exec("stop", targets);
+      return envelope(result, () => ({ stopped: targets }));
     },
   },
 
   docker_start: {
     description: "Start containers",
-    params: { containers: { type: "string", description: "Container(s)" } },
+    effect: "idempotent",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
     handler: async ({ containers }) => {
-      const result = await exec("start", containers.split(",").map((c) => c.trim()));
-      return { started: containers.split(","), success: result.code === 0 };
+      const targets = positionalList(containers, "containers");
+      const result = await exec("start", targets);
+      return envelope(result, () => ({ started: targets }));
     },
   },
 
   docker_restart: {
     description: "Restart containers",
-    params: { containers: { type: "string", description: "Container(s)" } },
+    effect: "mutating",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
     handler: async ({ containers }) => {
-      const result = await exec("restart", containers.split(",").map((c) => c.trim()));
-      return { restarted: containers.split(","), success: result.code === 0 };
+      const targets = positionalList(containers, "containers");
+      const result = await exec("restart", targets);
+      return envelope(result, () => ({ restarted: targets }));
+    },
+  },
+
+  docker_kill: {
+    description: "Send a signal to running containers",
+    effect: "mutating",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names"), signal: signalParam },
+    handler: async ({ containers, signal }) => {
+      const targets = positionalList(containers, "containers");
+      const result = await exec("kill", signal ? ["--signal", signal, ...targets] : targets);
+      return envelope(result, () => ({ killed: targets, signal: signal || "KILL" }));
+    },
+  },
+
+  docker_pause: { description: "Pause all processes in containers", effect: "idempotent", resources: ["containers"], params: { containers: targetsParam("Container IDs or names") }, handler: async ({ containers }) => { const targets = positionalList(containers, "containers"); return envelope(await exec("pause", targets), () => ({ paused: targets })); } },
+  docker_unpause: { description: "Resume all processes in paused containers", effect: "idempotent", resources: ["containers"], params: { containers: targetsParam("Container IDs or names") }, handler: async ({ containers }) => { const targets = positionalList(containers, "containers"); return envelope(await exec("unpause", targets), () => ({ unpaused: targets })); } },
+
+  docker_wait: {
+    description: "Block until a container exits and return its exit code",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
+    params: waitParams,
+    handler: ({ container, timeout = 300 }, call) => {
+      const target = positional(container, "container");
+      return runUntilExit(
+        (options) => execStream("wait", [target], options),
+        (result) => envelope(result, (stdout) => ({ container, exitCode: Number(stdout.trim()) })),
+        { signal: call?.signal, timeoutSeconds: timeout },
+      );
     },
   },
 
   docker_rm: {
     description: "Remove containers",
-    params: { containers: { type: "string", description: "Container(s)" }, force: { type: "boolean", description: "Force" } },
+    effect: "mutating",
+    destructive: true,
+    resources: ["containers", "volumes"],
+    params: { containers: targetsParam("Container IDs or names"), force: { type: "boolean", description: "Force" } },
     handler: async ({ containers, force = false }) => {
-      const args = force ? ["-f", ...containers.split(",")] : containers.split(",");
-      const result = await exec("rm", args.map((a) => a.trim()));
-      return { removed: containers.split(","), success: result.code === 0 };
+      const targets = positionalList(containers, "containers");
+      const result = await exec("rm", force ? ["-f", ...targets] : targets);
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   docker_logs: {
     description: "Fetch logs",
-    params: { container: { type: "string", description: "Container" }, tail: { type: "number", description: "Lines" } },
-    handler: async ({ container, tail }) => {
-      const args = tail ? ["--tail", String(tail), container] : [container];
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
+    params: { container: { type: "string", required: true, format: "name", description: "Container" }, tail: { type: "integer", minimum: 0, description: "Lines" }, ...logsParams },
+    handler: async ({ container, tail, follow = false, since, until, grep, followTimeout = 300 }, call) => {
+      const match = lineFilter(grep);
+      const args = tail ? ["--tail", String(tail)] : [];
+      args.push(...timeRangeFlags({ since, until }), positional(container, "container"));
+      if (follow) {
+        const result = await followStream(call, { container }, (options) => execStream("logs", ["-f", ...args], options), { match, timeoutSeconds: followTimeout });
+        return envelope(result, () => ({ streamId: result.streamId, lines: result.lines, stoppedBy: result.stoppedBy }));
+      }
       const result = await exec("logs", args);
-      return { logs: result.stdout, success: result.code === 0 };
+      return envelope(result, (stdout) => ({ logs: filterLines(stdout, match) }));
     },
   },
 
   docker_exec: {
     description: "Execute command",
-    params: { container: { type: "string", description: "Container" }, command: { type: "string", description: "Command" } },
+    effect: "mutating",
+    resources: ["containers"],
+    params: { container: { type: "string", required: true, format: "name", description: "Container" }, command: { ...commandParam, required: true } },
     handler: async ({ container, command }) => {
-      const result = await exec("exec", [container, ...command.split(" ")]);
-      return { output: result.stdout, success: result.code === 0 };
+      const commandArgv = parseCommand(command);
+      const result = await exec("exec", [positional(container, "container"), ...commandArgv]);
+      return envelope(result, (stdout) => ({ output: stdout, commandArgv }));
     },
   },
 
   docker_inspect: {
     description: "Inspect",
-    params: { target: { type: "string", description: "Target" } },
-    handler: async ({ target }) => parseJsonOutput((await exec("inspect", [target])).stdout),
+    effect: "read",
+    resources: ["containers", "images"],
+    params: { target: { type: "string", required: true, description: "Target" }, raw: { type: "boolean", description: "Raw payload per entry" } },
+    handler: async ({ target, raw = false }) => envelope(await exec("inspect", [positional(target, "target")]), (stdout) => normalizeInspect(parseJsonOutput(stdout), { raw })),
   },
 
+  docker_top: { description: "List container processes", effect: "read", cache: false, resources: ["containers"], params: { container: { type: "string", required: true, format: "name", description: "Container" } }, handler: async ({ container }) => envelope(await exec("top", [positional(container, "container")]), (stdout) => ({ processes: normalizeProcesses(stdout) })) },
+  docker_port: { description: "List published ports", effect: "read", resources: ["containers"], params: { container: { type: "string", required: true, format: "name", description: "Container" }, ...portFilterParams }, handler: async ({ container, port, protocol }) => envelope(await exec("port", [positional(container, "container")]), (stdout) => ({ ports: normalizePortMappings(stdout, { port, protocol }) })) },
+  docker_diff: { description: "List filesystem changes", effect: "read", resources: ["containers"], params: { container: { type: "string", required: true, format: "name", description: "Container" } }, handler: async ({ container }) => envelope(await exec("diff", [positional(container, "container")]), (stdout) => normalizeDiff(stdout)) },
+
   docker_cp: {
     description: "Copy files",
-    params: { source: { type: "string", description: "Source" }, destination: { type: "string", description: "Destination" } },
-    handler: async ({ source, destination }) => ({ success: (await exec("cp", [source, destination])).code === 0 }),
+    effect: "mutating",
+    resources: ["containers"],
+    params: { source: { type: "string", hostPath: "copy", required: true, description: "Source" }, destination: { type: "string", hostPath: "copy", required: true, description: "Destination" } },
+    handler: async ({ source, destination }) => envelope(await exec("cp", [pathArg(source, "source"), pathArg(destination, "destination")])),
+  },
+
+  docker_export: {
+    description: "Export container filesystem",
+    effect: "mutating",
+    resources: [],
+    params: { container: { type: "string", required: true, format: "name", description: "Container" }, output: { type: "string", hostPath: true, required: true, description: "Output file path (must not exist yet)" } },
+    handler: async ({ container, output }) => envelope(await exec("export", ["-o", newFileArg(output, "output"), positional(container, "container")]), () => ({ output })),
   },
 
   // Images
   docker_images: {
     description: "List images",
-    params: {},
-    handler: async () => ({ images: parseJsonOutput((await exec("images", ["--format", "json"])).stdout) }),
+    effect: "read",
+    resources: ["images"],
+    params: { raw: { type: "boolean", description: "Raw payload per entry" } },
+    handler: async ({ raw = false }) => envelope(await exec("images", ["--format", "json"]), (stdout) => ({ images: normalizeImages(parseJsonOutput(stdout), { raw }) })),
+  },
+
+  docker_image_history: {
+    description: "Show image layers",
+    effect: "read",
+    resources: ["images"],
+    params: { image: imageParam, raw: { type: "boolean", description: "Raw payload per entry" } },
+    handler: async ({ image, raw = false }) => envelope(await exec("history", ["--format", "json", "--no-trunc", "--human=false", positional(image, "image")]), (stdout) => ({ layers: normalizeHistory(parseJsonOutput(stdout), { raw }) })),
   },
 
   docker_pull: {
     description: "Pull image",
-    params: { image: { type: "string", description: "Image" } },
-    handler: async ({ image }) => ({ image, success: (await exec("pull", [image])).code === 0 }),
+    effect: "idempotent",
+    resources: ["images"],
+    params: { image: imageParam, background: backgroundParam },
+    handler: async ({ image, background = false }, call) => await runOperation(call, { kind: "pull", background, info: { image } }, (options) => execStream("pull", [positional(image, "image")], options), (result) => envelope(result, () => ({ image }))),
+  },
+
+  docker_login: {
+    description: "Log in to a registry (password on stdin, never in argv or results)",
+    effect: "idempotent",
+    resources: [],
+    params: loginParams,
+    handler: async ({ registry, username, ...passwordSource }) => {
+      const { password, source } = await resolvePassword(passwordSource);
+      const args = [`--username=${username}`, "--password-stdin", ...(registry ? [positional(registry, "registry")] : [])];
+      return envelope(await exec("login", args, { input: password }), () => ({ registry: registry || null, username, passwordFrom: source }));
+    },
   },
 
+  docker_logout: { description: "Log out from a registry", effect: "idempotent", resources: [], params: { registry: { type: "string", description: "Registry host" } }, handler: async ({ registry }) => envelope(await exec("logout", registry ? [positional(registry, "registry")] : []), () => ({ registry: registry || null })) },
+
   docker_push: {
     description: "Push image",
-    params: { image: { type: "string", description: "Image" } },
-    handler: async ({ image }) => ({ image, success: (await exec("push", [image])).code === 0 }),
+    effect: "idempotent",
+    resources: [],
+    params: { image: imageParam, background: backgroundParam },
+    handler: async ({ image, background = false }, call) => await runOperation(call, { kind: "push", background, info: { image } }, (options) => execStream("push", [positional(image, "image")], options), (result) => envelope(result, () => ({ image }))),
   },
 
   docker_build: {
     description: "Build image",
-    params: { context: { type: "string", description: "Context" }, tag: { type: "string", description: "Tag" }, file: { type: "string", description: "File" } },
-    handler: async ({ context = ".", tag, file }) => {
+    effect: "mutating",
+    resources: ["images"],
+    params: { context: { type: "string", hostPath: true, default: ".", description: "Context" }, tag: { type: "string", format: "image", description: "Tag" }, file: { type: "string", hostPath: true, description: "File" }, background: backgroundParam },
+    handler: async ({ context = ".", tag, file, background = false }, call) => {
       const args = [];
       if (tag) args.push("-t", tag);
-      if (file) args.push("-f", file);
-      args.push(context);
-      return { tag, success: (await exec("build", args)).code === 0 };
+      if (file) args.push("-f", pathArg(file, "file"));
+      args.push(pathArg(context, "context"));
+      return await runOperation(call, { kind: "build", background, info: { tag } }, (options) => execStream("build", args, options), (result) => envelope(result, () => ({ tag })));
     },
   },
 
   docker_tag: {
     description: "Tag image",
-    params: { source: { type: "string", description: "Source" }, target: { type: "string", description: "Target" } },
-    handler: async ({ source, target }) => ({ success: (await exec("tag", [source, target])).code === 0 }),
+    effect: "idempotent",
+    resources: ["images"],
+    params: { source: { type: "string", required: true, format: "image", description: "Source" }, target: { type: "string", required: true, format: "image", description: "Target" } },
+    handler: async ({ source, target }) => envelope(await exec("tag", [positional(source, "source"), positional(target, "target")])),
   },
 
   docker_rmi: {
     description: "Remove images",
-    params: { images: { type: "string", description: "Image(s)" } },
-    handler: async ({ images }) => ({ removed: images.split(","), success: (await exec("rmi", images.split(","))).code === 0 }),
+    effect: "mutating",
+    destructive: true,
+    resources: ["images"],
+    params: { images: targetsParam("Image IDs or names", "image") },
+    handler: async ({ images }) => {
+      const targets = positionalList(images, "images");
+      return envelope(await exec("rmi", targets), () => ({ removed: targets }));
+    },
   },
 
   docker_save: {
     description: "Save image",
-    params: { images: { type: "string", description: "Image(s)" }, output: { type: "string", description: "Output" } },
-    handler: async ({ images, output }) => ({ output, success: (await exec("save", ["-o", output, ...images.split(",")])).code === 0 }),
+    effect: "idempotent",
+    resources: [],
+    params: { images: targetsParam("Image IDs or names", "image"), output: { type: "string", hostPath: true, required: true, description: "Output" } },
+    handler: async ({ images, output }) => envelope(await exec("save", ["-o", pathArg(output, "output"), ...positionalList(images, "images")]), () => ({ output })),
   },
 
   docker_load: {
     description: "Load image",
-    params: { input: { type: "string", description: "Input" } },
-    handler: async ({ input }) => ({ success: (await exec("load", ["-i", input])).code === 0 }),
+    effect: "idempotent",
+    resources: ["images"],
+    params: { input: { type: "string", hostPath: true, required: true, description: "Input" } },
+    handler: async ({ input }) => envelope(await exec("load", ["-i", pathArg(input, "input")])),
   },
 
   // Network
-  docker_network_ls: { description: "List networks", params: {}, handler: async () => ({ networks: parseJsonOutput((await exec("network", ["ls", "--format", "json"])).stdout) }) },
-  docker_network_create: { description: "Create network", params: { name: { type: "string", description: "Name" } }, handler: async ({ name }) => ({ name, success: (await exec("network", ["create", name])).code === 0 }) },
-  docker_network_rm: { description: "Remove networks", params: { networks: { type: "string", description: "Network(s)" } }, handler: async ({ networks }) => ({ removed: networks.split(","), success: (await exec("network", ["rm", ...networks.split(",")])).code === 0 }) },
-  docker_network_inspect: { description: "Inspect network", params: { network: { type: "string", description: "Network" } }, handler: async ({ network }) => parseJsonOutput((await exec("network", ["inspect", network])).stdout) },
+  docker_network_ls: { description: "List networks", effect: "read", resources: ["networks"], params: { raw: { type: "boolean", description: "Raw payload per entry" } }, handler: async ({ raw = false }) => envelope(await exec("network", ["ls", "--format", "json"]), (stdout) => ({ networks: normalizeNetworks(parseJsonOutput(stdout), { raw }) })) },
+  docker_network_create: { description: "Create network", effect: "mutating", resources: ["networks"], params: { name: { type: "string", required: true, format: "name", description: "Name" } }, handler: async ({ name }) => envelope(await exec("network", ["create", positional(name, "name")]), () => ({ name })) },
+  docker_network_rm: { description: "Remove networks", effect: "mutating", destructive: true, resources: ["networks"], params: { networks: targetsParam("Network names") }, handler: async ({ networks }) => { const targets = positionalList(networks, "networks"); return envelope(await exec("network", ["rm", ...targets]), () => ({ removed: targets })); } },
+  docker_network_inspect: { description: "Inspect network", effect: "read", resources: ["networks"], params: { network: { type: "string", required: true, format: "name", description: "Network" }, raw: { type: "boolean", description: "Raw payload per entry" } }, handler: async ({ network, raw = false }) => envelope(await exec("network", ["inspect", positional(network, "network")]), (stdout) => normalizeNetworks(parseJsonOutput(stdout), { raw })) },
 
   // Volume
-  docker_volume_ls: { description: "List volumes", params: {}, handler: async () => ({ volumes: parseJsonOutput((await exec("volume", ["ls", "--format", "json"])).stdout) }) },
-  docker_volume_create: { description: "Create volume", params: { name: { type: "string", description: "Name" } }, handler: async ({ name }) => ({ name, success: (await exec("volume", ["create", name])).code === 0 }) },
-  docker_volume_rm: { description: "Remove volumes", params: { volumes: { type: "string", description: "Volume(s)" } }, handler: async ({ volumes }) => ({ removed: volumes.split(","), success: (await exec("volume", ["rm", ...volumes.split(",")])).code === 0 }) },
-  docker_volume_inspect: { description: "Inspect volume", params: { volume: { type: "string", description: "Volume" } }, handler: async ({ volume }) => parseJsonOutput((await exec("volume", ["inspect", volume])).stdout) },
+  docker_volume_ls: { description: "List volumes", effect: "read", resources: ["volumes"], params: { dangling: { type: "boolean", description: "Only unused volumes" }, raw: { type: "boolean", description: "Raw payload per entry" } }, handler: async ({ dangling = false, raw = false }) => envelope(await exec("volume", ["ls", "--format", "json", ...(dangling ? ["--filter", "dangling=true"] : [])]), (stdout) => ({ volumes: normalizeVolumes(parseJsonOutput(stdout), { raw }) })) },
+  docker_volume_create: { description: "Create volume", effect: "mutating", resources: ["volumes"], params: { name: { type: "string", required: true, format: "name", description: "Name" } }, handler: async ({ name }) => envelope(await exec("volume", ["create", positional(name, "name")]), () => ({ name })) },
+  docker_volume_rm: { description: "Remove volumes", effect: "mutating", destructive: true, resources: ["volumes"], params: { volumes: targetsParam("Volume names") }, handler: async ({ volumes }) => { const targets = positionalList(volumes, "volumes"); return envelope(await exec("volume", ["rm", ...targets]), () => ({ removed: targets })); } },
+  docker_volume_inspect: { description: "Inspect volume", effect: "read", resources: ["volumes"], params: { volume: { type: "string", required: true, format: "name", description: "Volume" }, raw: { type: "boolean", description: "Raw payload per entry" } }, handler: async ({ volume, raw = false }) => envelope(await exec("volume", ["inspect", positional(volume, "volume")]), (stdout) => normalizeVolumes(parseJsonOutput(stdout), { raw })) },
 
   // Compose
   docker_compose_up: {
     description: "Start compose",
-    params: { file: { type: "string", description: "File" }, detach: { type: "boolean", description: "Detach" } },
-    handler: async ({ file, detach = true }) => {
-      const args = file ? ["-f", file, "up"] : ["up"];
+    effect: "idempotent",
+    resources: ["containers", "images", "networks", "volumes"],
+    fromFile: true,
+    params: { file: { type: "string", hostPath: true, description: "File" }, detach: { type: "boolean", description: "Detach" }, background: backgroundParam },
+    handler: async ({ file, detach = true, background = false }, call) => {
+      const args = file ? ["-f", pathArg(file, "file"), "up"] : ["up"];
       if (detach) args.push("-d");
-      return { success: (await exec("compose", args)).code === 0 };
+      return await runOperation(call, { kind: "compose", background, info: { file } }, (options) => execStream("compose", args, options), (result) => envelope(result));
     },
   },
-  docker_compose_down: { description: "Stop compose", params: { file: { type: "string", description: "File" } }, handler: async ({ file }) => ({ success: (await exec("compose", file ? ["-f", file, "down"] : ["down"])).code === 0 }) },
-  docker_compose_ps: { description: "List compose services", params: { file: { type: "string", description: "File" } }, handler: async ({ file }) => ({ services: parseJsonOutput((await exec("compose", file ? ["-f", file, "ps", "--format", "json"] : ["ps", "--format", "json"])).stdout) }) },
-  docker_compose_logs: { description: "Compose logs", params: { file: { type: "string", description: "File" }, service: { type: "string", description: "Service" } }, handler: async ({ file, service }) => { const args = file ? ["-f", file, "logs"] : ["logs"]; if (service) args.push(service); return { logs: (await exec("compose", args)).stdout }; } },
+  docker_compose_down: { description: "Stop compose", effect: "mutating", destructive: true, resources: ["containers", "networks", "volumes"], params: { file: { type: "string", hostPath: true, description: "File" } }, handler: async ({ file }) => envelope(await exec("compose", file ? ["-f", pathArg(file, "file"), "down"] : ["down"])) },
+  docker_compose_ps: { description: "List compose services", effect: "read", resources: ["containers"], params: { file: { type: "string", hostPath: true, description: "File" } }, handler: async ({ file }) => envelope(await exec("compose", file ? ["-f", pathArg(file, "file"), "ps", "--format", "json"] : ["ps", "--format", "json"]), (stdout) => ({ services: parseJsonOutput(stdout) })) },
+  docker_compose_logs: { description: "Compose logs", effect: "read", resources: ["containers"], cache: false, params: { file: { type: "string", hostPath: true, description: "File" }, service: { type: "string", description: "Service" } }, handler: async ({ file, service }) => { const args = file ? ["-f", pathArg(file, "file"), "logs"] : ["logs"]; if (service) args.push(positional(service, "service")); return envelope(await exec("compose", args), (stdout) => ({ logs: stdout })); } },
 
   // System
-  docker_info: { description: "System info", params: {}, handler: async () => parseJsonOutput((await exec("info", ["--format", "json"])).stdout) },
-  docker_version: { description: "Version", params: {}, handler: async () => { const r = await exec("version", ["--format", "json"]); return r.code === 0 ? parseJsonOutput(r.stdout) : { version: (await exec("version", [])).stdout }; } },
-  docker_stats: { description: "Stats", params: { containers: { type: "string", description: "Container(s)" } }, handler: async ({ containers }) => { const args = ["--format", "json", "--no-stream"]; if (containers) args.push(...containers.split(",")); return { stats: parseJsonOutput((await exec("stats", args)).stdout) }; } },
-  docker_system_prune: { description: "Prune", params: { all: { type: "boolean", description: "All" }, volumes: { type: "boolean", description: "Volumes" } }, handler: async ({ all, volumes }) => { const args = ["-f"]; if (all) args.push("-a"); if (volumes) args.push("--volumes"); return { success: (await exec("system", ["prune", ...args])).code === 0 }; } },
+  docker_info: { description: "System info", effect: "read", resources: ["containers", "images", "networks", "volumes"], params: {}, handler: async () => envelope(await exec("info", ["--format", "json"]), parseJsonOutput) },
+  docker_version: { description: "Version", effect: "read", resources: [], params: {}, handler: async () => { const r = await exec("version", ["--format", "json"]); return r.code === 0 ? envelope(r, parseJsonOutput) : envelope(await exec("version", []), (stdout) => ({ version: stdout })); } },
+  docker_stats: { description: "Stats", effect: "read", resources: ["containers"], cache: false, params: { containers: { type: "array", items: { type: "string" }, description: "Containers (all when omitted)" } }, handler: async ({ containers }) => { const args = ["--format", "json", "--no-stream"]; if (containers) args.push(...positionalList(containers, "containers")); return envelope(await exec("stats", args), (stdout) => ({ stats: parseJsonOutput(stdout) })); } },
+  docker_events: {
+    description: "List events in a time window, or subscribe to container lifecycle events",
+    effect: "read",
+    cache: false,
+    resources: ["containers", "images", "networks", "volumes"],
+    params: { since: { type: "string", description: "Since (default 10m)" }, until: { type: "string", description: "Until (default now)" }, ...eventsParams },
+    handler: async ({ since = "10m", until, container, image, type, actions, limit, raw = false, follow = false, followTimeout = 300 }, call) => {
+      const match = eventFilter({ container, image, type, actions: actions ?? (follow ? LIFECYCLE_ACTIONS : undefined) });
+      const args = ["--format", "{{json .}}"];
+      if (follow) {
+        const result = await followStream(call, container ? { container } : {}, (options) => execStream("events", args, options), { entry: eventEntry(match, { raw }), timeoutSeconds: followTimeout });
+        return envelope(result, () => ({ streamId: result.streamId, events: result.lines, stoppedBy: result.stoppedBy }));
+      }
+      // Without --until, events keeps waiting for new ones
+      args.push(...timeRangeFlags({ since, until: until ?? new Date().toISOString() }));
+      return envelope(await exec("events", args), (stdout) => collectEvents(stdout, match, { limit, raw }));
+    },
+  },
+  docker_system_prune: { description: "Prune", effect: "mutating", destructive: true, resources: ["containers", "images", "networks", "volumes"], params: { all: { type: "boolean", description: "All" }, volumes: { type: "boolean", description: "Volumes" } }, handler: async ({ all, volumes }) => { const args = ["-f"]; if (all) args.push("-a"); if (volumes) args.push("--volumes"); return envelope(await exec("system", ["prune", ...args])); } },
 };
@@ -9,6 +9,51 @@
  * supporting rootless containers, lazy-pulling, and encryption.
  */
 
+import { newFileArg, pathArg, positional, positionalList, toArg } from "../lib/argv.js";
+import { parseCommand } from "../lib/shellwords.js";
+import {
+  backgroundParam,
+  buildArgsParam,
+  cgroupnsParam,
+  commandParam,
+  envParam,
+  eventsParams,
+  imageParam,
+  keyValueFlags,
+  loginParams,
+  logsParams,
+  portFilterParams,
+  portFlags,
+  portsParam,
+  repeatFlag,
+  resourceLimitFlags,
+  resourceLimitParams,
+  securityOptParam,
+  signalParam,
+  targetsParam,
+  timeRangeFlags,
+  volumeFlags,
+  volumesParam,
+  waitParams,
+} from "../lib/params.js";
+import { toolResult } from "../lib/result.js";
+import { resolvePassword } from "../lib/credentials.js";
+import { planned } from "../lib/plan.js";
+import { filterLines, followStream, lineFilter, runUntilExit, streamLines } from "../lib/stream.js";
+import { runOperation } from "../lib/jobs.js";
+import { collectEvents, eventEntry, eventFilter, LIFECYCLE_ACTIONS } from "../lib/events.js";
+import {
+  normalizeContainers,
+  normalizeDiff,
+  normalizeHistory,
+  normalizeImages,
+  normalizeInspect,
+  normalizeNetworks,
+  normalizePortMappings,
+  normalizeProcesses,
+  normalizeVolumes,
+} from "../lib/normalize.js";
+
 const NERDCTL_PATH = Deno.env.get("NERDCTL_PATH") || "nerdctl";
 const NERDCTL_NAMESPACE = Deno.env.get("NERDCTL_NAMESPACE") || "default";
 const NERDCTL_HOST = Deno.env.get("NERDCTL_HOST") || "";
@@ -20,17 +65,11 @@ const ALLOWED_COMMANDS = [
   "ps", "inspect", "logs", "top", "stats", "port", "diff", "exec", "attach", "cp",
   "export", "images", "pull", "push", "build", "tag", "rmi", "save", "load",
   "image", "history", "network", "volume", "compose", "info", "version", "system",
-  "events", "login", "logout"
+  "events", "login", "logout", "wait"
 ];
 
-// Sanitize argument to prevent injection
-function sanitizeArg(arg) {
-  if (typeof arg !== "string") return String(arg);
-  return arg.replace(/[;&|`$(){}[\]<>]/g, "").trim();
-}
-
-// Execute nerdctl command safely
-async function exec(subcommand, args = []) {
+// Build the full argument list for a whitelisted subcommand
+function commandArgs(subcommand, args) {
   if (!ALLOWED_COMMANDS.includes(subcommand)) {
     throw new Error(`Command not allowed: ${subcommand}`);
   }
@@ -52,24 +91,48 @@ async function exec(subcommand, args = []) {
     baseArgs.push("--snapshotter", NERDCTL_SNAPSHOTTER);
   }
 
-  const fullArgs = [...baseArgs, subcommand, ...args.map(sanitizeArg)];
+  // Arguments are passed verbatim: Deno.Command never invokes a shell
+  return [...baseArgs, subcommand, ...args.map((arg) => toArg(arg))];
+}
+
+// Execute nerdctl command safely
+// `input` is written to stdin, for secrets that must not appear in argv
+async function exec(subcommand, args = [], { input } = {}) {
+  const fullArgs = commandArgs(subcommand, args);
+  const plan = planned(NERDCTL_PATH, fullArgs, { input });
+  if (plan) return plan;
 
   const cmd = new Deno.Command(NERDCTL_PATH, {
     args: fullArgs,
+    ...(input !== undefined && { stdin: "piped" }),
     stdout: "piped",
     stderr: "piped",
   });
 
-  const output = await cmd.output();
+  const started = performance.now();
+  const child = cmd.spawn();
+  if (input !== undefined) {
+    const writer = child.stdin.getWriter();
+    await writer.write(new TextEncoder().encode(input));
+    await writer.close();
+  }
+  const output = await child.output();
   const decoder = new TextDecoder();
 
   return {
     stdout: decoder.decode(output.stdout),
     stderr: decoder.decode(output.stderr),
     code: output.code,
+    argv: [NERDCTL_PATH, ...fullArgs],
+    durationMs: Math.round(performance.now() - started),
   };
 }
 
+// Execute a nerdctl command that streams (logs -f), line by line (see lib/stream.js)
+function execStream(subcommand, args, options) {
+  return streamLines(NERDCTL_PATH, commandArgs(subcommand, args), options);
+}
+
 // Execute with JSON output
 async function execJson(subcommand, args = []) {
   const jsonArgs = ["--format", "json", ...args];
@@ -78,6 +141,12 @@ async function execJson(subcommand, args = []) {
 
 // Parse JSON output safely
 function parseJsonOutput(stdout) {
+  try {
+    // Single JSON document (possibly pretty-printed across lines)
+    return JSON.parse(stdout);
+  } catch {
+    // Fall through to NDJSON
+  }
   try {
     // Handle NDJSON (newline-delimited JSON)
     const lines = stdout.trim().split("\n").filter(Boolean);
@@ -98,6 +167,18 @@ function parseJsonOutput(stdout) {
 export const name = "nerdctl";
 export const description = "nerdctl - containerd CLI (FOSS preferred)";
 
+// How commands are run, for dry runs (see lib/plan.js)
+export const cli = {
+  binary: NERDCTL_PATH,
+  globalFlags: { namespace: NERDCTL_NAMESPACE, host: NERDCTL_HOST || null, snapshotter: NERDCTL_SNAPSHOTTER || null },
+  module: import.meta.url,
+};
+
+// Wrap an exec result in the common result envelope (see lib/result.js)
+function envelope(result, parse) {
+  return toolResult(name, result, parse);
+}
+
 export async function connect() {
   // nerdctl doesn't require explicit connection
   // but we verify it's available
@@ -120,10 +201,65 @@ export async function isConnected() {
   }
 }
 
+/**
+ * Stream runtime events, one JSON object per line (see lib/events.js)
+ *
+ * @param {Object} options - streamLines() options (onLine, signal, ...)
+ */
+export function streamEvents(options) {
+  return execStream("events", ["--format", "{{json .}}"], options);
+}
+
 // ============================================================================
 // Tools
 // ============================================================================
 
+// Host paths `nested` bind-mounts into the container, at the same place
+const NESTED_MOUNTS = ["/run/containerd/containerd.sock", "/var/lib/containerd"];
+
+// Container settings shared by nerdctl_run and nerdctl_create
+const containerParams = {
+  image: imageParam,
+  name: { type: "string", format: "name", description: "Container name (optional)" },
+  ports: portsParam,
+  env: envParam,
+  volumes: volumesParam,
+  network: { type: "string", description: "Network to connect to" },
+  command: commandParam,
+  privileged: { type: "boolean", description: "Run in privileged mode (for nested containers)" },
+  securityOpt: securityOptParam,
+  cgroupns: cgroupnsParam,
+  ...resourceLimitParams,
+  nested: { type: "boolean", description: "Setup for nested containers (mounts containerd socket)" },
+};
+
+// Arguments for run and create, image and command last
+function containerArgs({ image, name, ports, env, volumes, network, command, privileged, securityOpt, cgroupns, nested, memory, cpus }) {
+  const commandArgv = parseCommand(command);
+  const args = [];
+
+  if (name) args.push("--name", name);
+  if (network) args.push("--network", network);
+  if (privileged) args.push("--privileged");
+  if (cgroupns) args.push("--cgroupns", cgroupns);
+
+  // Nested container setup - mount containerd socket
+  if (nested) {
+    for (const path of NESTED_MOUNTS) args.push("-v", `${path}:${path}`);
+    if (!privileged) args.push("--privileged"); // nested typically requires privileged
+  }
+
+  args.push(...repeatFlag("--security-opt", securityOpt));
+  args.push(...portFlags(ports));
+  args.push(...keyValueFlags("-e", env));
+  args.push(...volumeFlags(volumes));
+  args.push(...resourceLimitFlags({ memory, cpus }));
+
+  args.push(positional(image, "image"));
+  args.push(...commandArgv);
+  return { args, commandArgv };
+}
+
 export const tools = {
   // ==========================================================================
   // Container Lifecycle
@@ -131,252 +267,345 @@ export const tools = {
 
   nerdctl_run: {
     description: "Run a new container",
+    effect: "mutating",
+    resources: ["containers", "images"],
+    hostMounts: { nested: NESTED_MOUNTS },
     params: {
-      image: { type: "string", description: "Container image to run" },
-      name: { type: "string", description: "Container name (optional)" },
-      detach: { type: "boolean", description: "Run in background (default: true)" },
-      ports: { type: "string", description: "Port mappings, e.g., '8080:80,443:443'" },
-      env: { type: "string", description: "Environment variables as JSON object" },
-      volumes: { type: "string", description: "Volume mounts, e.g., '/host:/container'" },
-      network: { type: "string", description: "Network to connect to" },
-      command: { type: "string", description: "Command to run in container" },
-      privileged: { type: "boolean", description: "Run in privileged mode (for nested containers)" },
-      securityOpt: { type: "string", description: "Security options, comma-separated" },
-      cgroupns: { type: "string", description: "Cgroup namespace mode (host, private)" },
-      nested: { type: "boolean", description: "Setup for nested containers (mounts containerd socket)" },
-    },
-    handler: async ({ image, name, detach = true, ports, env, volumes, network, command, privileged, securityOpt, cgroupns, nested }) => {
-      const args = [];
-
-      if (detach) args.push("-d");
-      if (name) args.push("--name", name);
-      if (network) args.push("--network", network);
-      if (privileged) args.push("--privileged");
-      if (cgroupns) args.push("--cgroupns", cgroupns);
-
-      // Nested container setup - mount containerd socket
-      if (nested) {
-        args.push("-v", "/run/containerd/containerd.sock:/run/containerd/containerd.sock");
-        args.push("-v", "/var/lib/containerd:/var/lib/containerd");
-        if (!privileged) args.push("--privileged"); // nested typically requires privileged
-      }
-
-      if (securityOpt) {
-        securityOpt.split(",").forEach((opt) => args.push("--security-opt", opt.trim()));
-      }
-
-      if (ports) {
-        ports.split(",").forEach((p) => args.push("-p", p.trim()));
-      }
-
-      if (env) {
-        try {
-          const envObj = JSON.parse(env);
-          Object.entries(envObj).forEach(([k, v]) => args.push("-e", `${k}=${v}`));
-        } catch {
-          args.push("-e", env);
-        }
-      }
-
-      if (volumes) {
-        volumes.split(",").forEach((v) => args.push("-v", v.trim()));
-      }
-
-      args.push(image);
-
-      if (command) {
-        args.push(...command.split(" "));
-      }
+      ...containerParams,
+      detach: { type: "boolean", default: true, description: "Run in background" },
+    },
+    handler: async ({ detach = true, ...params }) => {
+      const { args, commandArgv } = containerArgs(params);
+      const result = await exec("run", detach ? ["-d", ...args] : args);
+      return envelope(result, (stdout) => ({
+        containerId: stdout.trim(),
+        commandArgv,
+        nested: params.nested || false,
+        privileged: params.privileged || params.nested || false,
+      }));
+    },
+  },
 
-      const result = await exec("run", args);
-      return {
-        containerId: result.stdout.trim(),
-        success: result.code === 0,
-        nested: nested || false,
-        privileged: privileged || nested || false,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+  nerdctl_create: {
+    description: "Create a container without starting it",
+    effect: "mutating",
+    resources: ["containers", "images"],
+    hostMounts: { nested: NESTED_MOUNTS },
+    params: containerParams,
+    handler: async (params) => {
+      const { args, commandArgv } = containerArgs(params);
+      const result = await exec("create", args);
+      return envelope(result, (stdout) => ({
+        containerId: stdout.trim(),
+        commandArgv,
+        nested: params.nested || false,
+        privileged: params.privileged || params.nested || false,
+      }));
     },
   },
 
   nerdctl_ps: {
     description: "List containers",
+    effect: "read",
+    resources: ["containers"],
     params: {
       all: { type: "boolean", description: "Show all containers (default: running only)" },
       quiet: { type: "boolean", description: "Only show container IDs" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
     },
-    handler: async ({ all = false, quiet = false }) => {
+    handler: async ({ all = false, quiet = false, raw = false }) => {
       const args = ["--format", "json"];
       if (all) args.push("-a");
       if (quiet) args.push("-q");
 
       const result = await exec("ps", args);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-
-      return {
-        containers: parseJsonOutput(result.stdout),
-      };
+      return envelope(result, (stdout) => ({
+        containers: quiet
+          ? stdout.split("\n").map((id) => id.trim()).filter(Boolean)
+          : normalizeContainers(parseJsonOutput(stdout), { raw }),
+      }));
     },
   },
 
   nerdctl_stop: {
     description: "Stop one or more containers",
+    effect: "idempotent",
+    resources: ["containers"],
     params: {
-      containers: { type: "string", description: "Container ID(s) or name(s), comma-separated" },
-      time: { type: "number", description: "Seconds to wait before killing (default: 10)" },
+      containers: targetsParam("Container IDs or names"),
+      time: { type: "integer", minimum: 0, description: "Seconds to wait before killing (default: 10)" },
     },
     handler: async ({ containers, time }) => {
+      const targets = positionalList(containers, "containers");
       const args = [];
       if (time) args.push("-t", String(time));
-      args.push(...containers.split(",").map((c) => c.trim()));
+      args.push(...targets);
 
       const result = await exec("stop", args);
-      return {
-        stopped: containers.split(",").map((c) => c.trim()),
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ stopped: targets }));
     },
   },
 
   nerdctl_start: {
     description: "Start one or more stopped containers",
+    effect: "idempotent",
+    resources: ["containers"],
     params: {
-      containers: { type: "string", description: "Container ID(s) or name(s), comma-separated" },
+      containers: targetsParam("Container IDs or names"),
     },
     handler: async ({ containers }) => {
-      const args = containers.split(",").map((c) => c.trim());
+      const args = positionalList(containers, "containers");
       const result = await exec("start", args);
-      return {
-        started: args,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ started: args }));
     },
   },
 
   nerdctl_restart: {
     description: "Restart one or more containers",
+    effect: "mutating",
+    resources: ["containers"],
     params: {
-      containers: { type: "string", description: "Container ID(s) or name(s), comma-separated" },
-      time: { type: "number", description: "Seconds to wait before killing (default: 10)" },
+      containers: targetsParam("Container IDs or names"),
+      time: { type: "integer", minimum: 0, description: "Seconds to wait before killing (default: 10)" },
     },
     handler: async ({ containers, time }) => {
+      const targets = positionalList(containers, "containers");
       const args = [];
       if (time) args.push("-t", String(time));
-      args.push(...containers.split(",").map((c) => c.trim()));
+      args.push(...targets);
 
       const result = await exec("restart", args);
-      return {
-        restarted: containers.split(",").map((c) => c.trim()),
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ restarted: targets }));
+    },
+  },
+
+  nerdctl_kill: {
+    description: "Send a signal to one or more running containers",
+    effect: "mutating",
+    resources: ["containers"],
+    params: {
+      containers: targetsParam("Container IDs or names"),
+      signal: signalParam,
+    },
+    handler: async ({ containers, signal }) => {
+      const targets = positionalList(containers, "containers");
+      const args = [];
+      if (signal) args.push("--signal", signal);
+      args.push(...targets);
+
+      const result = await exec("kill", args);
+      return envelope(result, () => ({ killed: targets, signal: signal || "KILL" }));
+    },
+  },
+
+  nerdctl_pause: {
+    description: "Pause all processes in one or more containers",
+    effect: "idempotent",
+    resources: ["containers"],
+    params: {
+      containers: targetsParam("Container IDs or names"),
+    },
+    handler: async ({ containers }) => {
+      const args = positionalList(containers, "containers");
+      const result = await exec("pause", args);
+      return envelope(result, () => ({ paused: args }));
+    },
+  },
+
+  nerdctl_unpause: {
+    description: "Resume all processes in one or more paused containers",
+    effect: "idempotent",
+    resources: ["containers"],
+    params: {
+      containers: targetsParam("Container IDs or names"),
+    },
+    handler: async ({ containers }) => {
+      const args = positionalList(containers, "containers");
+      const result = await exec("unpause", args);
+      return envelope(result, () => ({ unpaused: args }));
+    },
+  },
+
+  nerdctl_wait: {
+    description: "Block until a container exits and return its exit code",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
+    params: waitParams,
+    handler: ({ container, timeout = 300 }, call) => {
+      const target = positional(container, "container");
+      return runUntilExit(
+        (options) => execStream("wait", [target], options),
+        (result) => envelope(result, (stdout) => ({ container, exitCode: Number(stdout.trim()) })),
+        { signal: call?.signal, timeoutSeconds: timeout },
+      );
     },
   },
 
   nerdctl_rm: {
     description: "Remove one or more containers",
+    effect: "mutating",
+    destructive: true,
+    resources: ["containers", "volumes"],
     params: {
-      containers: { type: "string", description: "Container ID(s) or name(s), comma-separated" },
+      containers: targetsParam("Container IDs or names"),
       force: { type: "boolean", description: "Force removal of running container" },
       volumes: { type: "boolean", description: "Remove associated volumes" },
     },
     handler: async ({ containers, force = false, volumes = false }) => {
+      const targets = positionalList(containers, "containers");
       const args = [];
       if (force) args.push("-f");
       if (volumes) args.push("-v");
-      args.push(...containers.split(",").map((c) => c.trim()));
+      args.push(...targets);
 
       const result = await exec("rm", args);
-      return {
-        removed: containers.split(",").map((c) => c.trim()),
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   nerdctl_logs: {
     description: "Fetch logs of a container",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
     params: {
-      container: { type: "string", description: "Container ID or name" },
-      tail: { type: "number", description: "Number of lines to show from end" },
-      follow: { type: "boolean", description: "Follow log output (not recommended for MCP)" },
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      tail: { type: "integer", minimum: 0, description: "Number of lines to show from end" },
       timestamps: { type: "boolean", description: "Show timestamps" },
+      ...logsParams,
     },
-    handler: async ({ container, tail, follow = false, timestamps = false }) => {
+    handler: async ({ container, tail, timestamps = false, follow = false, since, until, grep, followTimeout = 300 }, call) => {
+      const match = lineFilter(grep);
       const args = [];
       if (tail) args.push("--tail", String(tail));
       if (timestamps) args.push("-t");
-      // Note: follow is not recommended for MCP as it blocks
-      args.push(container);
+      args.push(...timeRangeFlags({ since, until }));
+      args.push(positional(container, "container"));
+
+      if (follow) {
+        const result = await followStream(
+          call,
+          { container },
+          (options) => execStream("logs", ["-f", ...args], options),
+          { match, timeoutSeconds: followTimeout },
+        );
+        return envelope(result, () => ({ streamId: result.streamId, lines: result.lines, stoppedBy: result.stoppedBy }));
+      }
 
       const result = await exec("logs", args);
-      return {
-        logs: result.stdout,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, (stdout) => ({ logs: filterLines(stdout, match) }));
     },
   },
 
   nerdctl_exec: {
     description: "Execute a command in a running container",
+    effect: "mutating",
+    resources: ["containers"],
     params: {
-      container: { type: "string", description: "Container ID or name" },
-      command: { type: "string", description: "Command to execute" },
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      command: { ...commandParam, required: true },
       interactive: { type: "boolean", description: "Keep STDIN open" },
       tty: { type: "boolean", description: "Allocate pseudo-TTY" },
       user: { type: "string", description: "Username or UID" },
       workdir: { type: "string", description: "Working directory inside container" },
     },
     handler: async ({ container, command, interactive = false, tty = false, user, workdir }) => {
+      const commandArgv = parseCommand(command);
       const args = [];
       if (interactive) args.push("-i");
       if (tty) args.push("-t");
       if (user) args.push("-u", user);
       if (workdir) args.push("-w", workdir);
-      args.push(container);
-      args.push(...command.split(" "));
+      args.push(positional(container, "container"));
+      args.push(...commandArgv);
 
       const result = await exec("exec", args);
-      return {
-        output: result.stdout,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, (stdout) => ({ output: stdout, commandArgv }));
     },
   },
 
   nerdctl_inspect: {
     description: "Return low-level information on containers or images",
+    effect: "read",
+    resources: ["containers", "images"],
     params: {
-      target: { type: "string", description: "Container or image ID/name" },
+      target: { type: "string", required: true, description: "Container or image ID/name" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
     },
-    handler: async ({ target }) => {
-      const result = await exec("inspect", [target]);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-      return parseJsonOutput(result.stdout);
+    handler: async ({ target, raw = false }) => {
+      const result = await exec("inspect", [positional(target, "target")]);
+      return envelope(result, (stdout) => normalizeInspect(parseJsonOutput(stdout), { raw }));
+    },
+  },
+
+  nerdctl_top: {
+    description: "List the processes running in a container",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
+    params: {
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+    },
+    handler: async ({ container }) => {
+      const result = await exec("top", [positional(container, "container")]);
+      return envelope(result, (stdout) => ({ processes: normalizeProcesses(stdout) }));
+    },
+  },
+
+  nerdctl_port: {
+    description: "List a container's published ports",
+    effect: "read",
+    resources: ["containers"],
+    params: {
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      ...portFilterParams,
+    },
+    handler: async ({ container, port, protocol }) => {
+      const result = await exec("port", [positional(container, "container")]);
+      return envelope(result, (stdout) => ({ ports: normalizePortMappings(stdout, { port, protocol }) }));
+    },
+  },
+
+  nerdctl_diff: {
+    description: "List files added, changed or deleted in a container's filesystem",
+    effect: "read",
+    resources: ["containers"],
+    params: {
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+    },
+    handler: async ({ container }) => {
+      const result = await exec("diff", [positional(container, "container")]);
+      return envelope(result, (stdout) => normalizeDiff(stdout));
     },
   },
 
   nerdctl_cp: {
     description: "Copy files between container and local filesystem",
+    effect: "mutating",
+    resources: ["containers"],
     params: {
-      source: { type: "string", description: "Source path (container:path or local path)" },
-      destination: { type: "string", description: "Destination path (container:path or local path)" },
+      source: { type: "string", hostPath: "copy", required: true, description: "Source path (container:path or local path)" },
+      destination: { type: "string", hostPath: "copy", required: true, description: "Destination path (container:path or local path)" },
     },
     handler: async ({ source, destination }) => {
-      const result = await exec("cp", [source, destination]);
-      return {
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      const result = await exec("cp", [pathArg(source, "source"), pathArg(destination, "destination")]);
+      return envelope(result);
+    },
+  },
+
+  nerdctl_export: {
+    description: "Export a container's filesystem as a tar archive",
+    effect: "mutating",
+    resources: [],
+    params: {
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      output: { type: "string", hostPath: true, required: true, description: "Output file path (must not exist yet)" },
+    },
+    handler: async ({ container, output }) => {
+      const args = ["-o", newFileArg(output, "output"), positional(container, "container")];
+      const result = await exec("export", args);
+      return envelope(result, () => ({ output }));
     },
   },
 
@@ -386,161 +615,195 @@ export const tools = {
 
   nerdctl_images: {
     description: "List images",
+    effect: "read",
+    resources: ["images"],
     params: {
       all: { type: "boolean", description: "Show all images (including intermediate)" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
     },
-    handler: async ({ all = false }) => {
+    handler: async ({ all = false, raw = false }) => {
       const args = ["--format", "json"];
       if (all) args.push("-a");
 
       const result = await exec("images", args);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
+      return envelope(result, (stdout) => ({ images: normalizeImages(parseJsonOutput(stdout), { raw }) }));
+    },
+  },
 
-      return {
-        images: parseJsonOutput(result.stdout),
-      };
+  nerdctl_image_history: {
+    description: "Show the layers of an image",
+    effect: "read",
+    resources: ["images"],
+    params: {
+      image: imageParam,
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ image, raw = false }) => {
+      const args = ["--format", "json", "--no-trunc", "--human=false", positional(image, "image")];
+      const result = await exec("history", args);
+      return envelope(result, (stdout) => ({ layers: normalizeHistory(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   nerdctl_pull: {
     description: "Pull an image from a registry",
+    effect: "idempotent",
+    resources: ["images"],
     params: {
-      image: { type: "string", description: "Image name (e.g., nginx:latest)" },
+      image: imageParam,
       platform: { type: "string", description: "Platform (e.g., linux/amd64)" },
+      background: backgroundParam,
     },
-    handler: async ({ image, platform }) => {
+    handler: async ({ image, platform, background = false }, call) => {
       const args = [];
       if (platform) args.push("--platform", platform);
-      args.push(image);
+      args.push(positional(image, "image"));
 
-      const result = await exec("pull", args);
-      return {
-        image,
-        success: result.code === 0,
-        output: result.stdout,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return await runOperation(
+        call,
+        { kind: "pull", background, info: { image } },
+        (options) => execStream("pull", args, options),
+        (result) => envelope(result, (stdout) => ({ image, output: stdout })),
+      );
+    },
+  },
+
+  nerdctl_login: {
+    description: "Log in to a container registry (the password is passed on stdin, never in argv or results)",
+    effect: "idempotent",
+    resources: [],
+    params: loginParams,
+    handler: async ({ registry, username, ...passwordSource }) => {
+      const { password, source } = await resolvePassword(passwordSource);
+      const args = [`--username=${username}`, "--password-stdin"];
+      if (registry) args.push(positional(registry, "registry"));
+
+      const result = await exec("login", args, { input: password });
+      return envelope(result, () => ({ registry: registry || null, username, passwordFrom: source }));
+    },
+  },
+
+  nerdctl_logout: {
+    description: "Log out from a container registry",
+    effect: "idempotent",
+    resources: [],
+    params: {
+      registry: { type: "string", description: "Registry host (default: the runtime's default registry)" },
+    },
+    handler: async ({ registry }) => {
+      const result = await exec("logout", registry ? [positional(registry, "registry")] : []);
+      return envelope(result, () => ({ registry: registry || null }));
     },
   },
 
   nerdctl_push: {
     description: "Push an image to a registry",
+    effect: "idempotent",
+    resources: [],
     params: {
-      image: { type: "string", description: "Image name with tag" },
+      image: imageParam,
+      background: backgroundParam,
     },
-    handler: async ({ image }) => {
-      const result = await exec("push", [image]);
-      return {
-        image,
-        success: result.code === 0,
-        output: result.stdout,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+    handler: async ({ image, background = false }, call) => {
+      return await runOperation(
+        call,
+        { kind: "push", background, info: { image } },
+        (options) => execStream("push", [positional(image, "image")], options),
+        (result) => envelope(result, (stdout) => ({ image, output: stdout })),
+      );
     },
   },
 
   nerdctl_build: {
     description: "Build an image from a Containerfile/Dockerfile",
+    effect: "mutating",
+    resources: ["images"],
     params: {
-      context: { type: "string", description: "Build context path (default: .)" },
-      file: { type: "string", description: "Path to Containerfile/Dockerfile" },
-      tag: { type: "string", description: "Image tag (e.g., myimage:latest)" },
-      buildArgs: { type: "string", description: "Build arguments as JSON object" },
+      context: { type: "string", hostPath: true, default: ".", description: "Build context path" },
+      file: { type: "string", hostPath: true, description: "Path to Containerfile/Dockerfile" },
+      tag: { type: "string", format: "image", description: "Image tag (e.g., myimage:latest)" },
+      buildArgs: buildArgsParam,
       noCache: { type: "boolean", description: "Do not use cache" },
+      background: backgroundParam,
     },
-    handler: async ({ context = ".", file, tag, buildArgs, noCache = false }) => {
+    handler: async ({ context = ".", file, tag, buildArgs, noCache = false, background = false }, call) => {
       const args = [];
-      if (file) args.push("-f", file);
+      if (file) args.push("-f", pathArg(file, "file"));
       if (tag) args.push("-t", tag);
       if (noCache) args.push("--no-cache");
 
-      if (buildArgs) {
-        try {
-          const argsObj = JSON.parse(buildArgs);
-          Object.entries(argsObj).forEach(([k, v]) => args.push("--build-arg", `${k}=${v}`));
-        } catch {
-          // ignore
-        }
-      }
+      args.push(...keyValueFlags("--build-arg", buildArgs));
 
-      args.push(context);
+      args.push(pathArg(context, "context"));
 
-      const result = await exec("build", args);
-      return {
-        tag,
-        success: result.code === 0,
-        output: result.stdout,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return await runOperation(
+        call,
+        { kind: "build", background, info: { tag } },
+        (options) => execStream("build", args, options),
+        (result) => envelope(result, (stdout) => ({ tag, output: stdout })),
+      );
     },
   },
 
   nerdctl_tag: {
     description: "Create a tag for an image",
+    effect: "idempotent",
+    resources: ["images"],
     params: {
-      source: { type: "string", description: "Source image" },
-      target: { type: "string", description: "Target image with tag" },
+      source: { type: "string", required: true, format: "image", description: "Source image" },
+      target: { type: "string", required: true, format: "image", description: "Target image with tag" },
     },
     handler: async ({ source, target }) => {
-      const result = await exec("tag", [source, target]);
-      return {
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      const result = await exec("tag", [positional(source, "source"), positional(target, "target")]);
+      return envelope(result);
     },
   },
 
   nerdctl_rmi: {
     description: "Remove one or more images",
+    effect: "mutating",
+    destructive: true,
+    resources: ["images"],
     params: {
-      images: { type: "string", description: "Image ID(s) or name(s), comma-separated" },
+      images: targetsParam("Image IDs or names", "image"),
       force: { type: "boolean", description: "Force removal" },
     },
     handler: async ({ images, force = false }) => {
+      const targets = positionalList(images, "images");
       const args = [];
       if (force) args.push("-f");
-      args.push(...images.split(",").map((i) => i.trim()));
+      args.push(...targets);
 
       const result = await exec("rmi", args);
-      return {
-        removed: images.split(",").map((i) => i.trim()),
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   nerdctl_save: {
     description: "Save image(s) to a tar archive",
+    effect: "idempotent",
+    resources: [],
     params: {
-      images: { type: "string", description: "Image(s) to save, comma-separated" },
-      output: { type: "string", description: "Output file path" },
+      images: targetsParam("Images to save", "image"),
+      output: { type: "string", hostPath: true, required: true, description: "Output file path" },
     },
     handler: async ({ images, output }) => {
-      const args = ["-o", output, ...images.split(",").map((i) => i.trim())];
+      const args = ["-o", pathArg(output, "output"), ...positionalList(images, "images")];
       const result = await exec("save", args);
-      return {
-        output,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ output }));
     },
   },
 
   nerdctl_load: {
     description: "Load image(s) from a tar archive",
+    effect: "idempotent",
+    resources: ["images"],
     params: {
-      input: { type: "string", description: "Input file path" },
+      input: { type: "string", hostPath: true, required: true, description: "Input file path" },
     },
     handler: async ({ input }) => {
-      const result = await exec("load", ["-i", input]);
-      return {
-        success: result.code === 0,
-        output: result.stdout,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      const result = await exec("load", ["-i", pathArg(input, "input")]);
+      return envelope(result);
     },
   },
 
@@ -550,22 +813,23 @@ export const tools = {
 
   nerdctl_network_ls: {
     description: "List networks",
-    params: {},
-    handler: async () => {
+    effect: "read",
+    resources: ["networks"],
+    params: {
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ raw = false }) => {
       const result = await exec("network", ["ls", "--format", "json"]);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-      return {
-        networks: parseJsonOutput(result.stdout),
-      };
+      return envelope(result, (stdout) => ({ networks: normalizeNetworks(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   nerdctl_network_create: {
     description: "Create a network",
+    effect: "mutating",
+    resources: ["networks"],
     params: {
-      name: { type: "string", description: "Network name" },
+      name: { type: "string", required: true, format: "name", description: "Network name" },
       driver: { type: "string", description: "Network driver (bridge, host, none)" },
       subnet: { type: "string", description: "Subnet in CIDR format" },
     },
@@ -573,44 +837,39 @@ export const tools = {
       const args = [];
       if (driver) args.push("-d", driver);
       if (subnet) args.push("--subnet", subnet);
-      args.push(name);
+      args.push(positional(name, "name"));
 
       const result = await exec("network", ["create", ...args]);
-      return {
-        name,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ name }));
     },
   },
 
   nerdctl_network_rm: {
     description: "Remove one or more networks",
+    effect: "mutating",
+    destructive: true,
+    resources: ["networks"],
     params: {
-      networks: { type: "string", description: "Network name(s), comma-separated" },
+      networks: targetsParam("Network names"),
     },
     handler: async ({ networks }) => {
-      const args = networks.split(",").map((n) => n.trim());
+      const args = positionalList(networks, "networks");
       const result = await exec("network", ["rm", ...args]);
-      return {
-        removed: args,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ removed: args }));
     },
   },
 
   nerdctl_network_inspect: {
     description: "Display detailed information on networks",
+    effect: "read",
+    resources: ["networks"],
     params: {
-      network: { type: "string", description: "Network name or ID" },
+      network: { type: "string", required: true, format: "name", description: "Network name or ID" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
     },
-    handler: async ({ network }) => {
-      const result = await exec("network", ["inspect", network]);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-      return parseJsonOutput(result.stdout);
+    handler: async ({ network, raw = false }) => {
+      const result = await exec("network", ["inspect", positional(network, "network")]);
+      return envelope(result, (stdout) => normalizeNetworks(parseJsonOutput(stdout), { raw }));
     },
   },
 
@@ -620,64 +879,64 @@ export const tools = {
 
   nerdctl_volume_ls: {
     description: "List volumes",
-    params: {},
-    handler: async () => {
-      const result = await exec("volume", ["ls", "--format", "json"]);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-      return {
-        volumes: parseJsonOutput(result.stdout),
-      };
+    effect: "read",
+    resources: ["volumes"],
+    params: {
+      dangling: { type: "boolean", description: "Only volumes no container uses" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ dangling = false, raw = false }) => {
+      const args = ["ls", "--format", "json"];
+      if (dangling) args.push("--filter", "dangling=true");
+      const result = await exec("volume", args);
+      return envelope(result, (stdout) => ({ volumes: normalizeVolumes(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   nerdctl_volume_create: {
     description: "Create a volume",
+    effect: "mutating",
+    resources: ["volumes"],
     params: {
-      name: { type: "string", description: "Volume name" },
+      name: { type: "string", required: true, format: "name", description: "Volume name" },
     },
     handler: async ({ name }) => {
-      const result = await exec("volume", ["create", name]);
-      return {
-        name,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      const result = await exec("volume", ["create", positional(name, "name")]);
+      return envelope(result, () => ({ name }));
     },
   },
 
   nerdctl_volume_rm: {
     description: "Remove one or more volumes",
+    effect: "mutating",
+    destructive: true,
+    resources: ["volumes"],
     params: {
-      volumes: { type: "string", description: "Volume name(s), comma-separated" },
+      volumes: targetsParam("Volume names"),
       force: { type: "boolean", description: "Force removal" },
     },
     handler: async ({ volumes, force = false }) => {
+      const targets = positionalList(volumes, "volumes");
       const args = [];
       if (force) args.push("-f");
-      args.push(...volumes.split(",").map((v) => v.trim()));
+      args.push(...targets);
 
       const result = await exec("volume", ["rm", ...args]);
-      return {
-        removed: volumes.split(",").map((v) => v.trim()),
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   nerdctl_volume_inspect: {
     description: "Display detailed information on volumes",
+    effect: "read",
+    resources: ["volumes"],
     params: {
-      volume: { type: "string", description: "Volume name" },
+      volume: { type: "string", required: true, format: "name", description: "Volume name" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
     },
-    handler: async ({ volume }) => {
-      const result = await exec("volume", ["inspect", volume]);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-      return parseJsonOutput(result.stdout);
+    handler: async ({ volume, raw = false }) => {
+      const result = await exec("volume", ["inspect", positional(volume, "volume")]);
+      return envelope(result, (stdout) => normalizeVolumes(parseJsonOutput(stdout), { raw }));
     },
   },
 
@@ -687,90 +946,89 @@ export const tools = {
 
   nerdctl_compose_up: {
     description: "Create and start containers defined in compose file",
+    effect: "idempotent",
+    resources: ["containers", "images", "networks", "volumes"],
+    fromFile: true,
     params: {
-      file: { type: "string", description: "Compose file path (default: compose.yaml)" },
-      detach: { type: "boolean", description: "Run in background (default: true)" },
+      file: { type: "string", hostPath: true, description: "Compose file path (default: compose.yaml)" },
+      detach: { type: "boolean", default: true, description: "Run in background" },
       build: { type: "boolean", description: "Build images before starting" },
+      background: backgroundParam,
     },
-    handler: async ({ file, detach = true, build = false }) => {
+    handler: async ({ file, detach = true, build = false, background = false }, call) => {
       const args = [];
-      if (file) args.push("-f", file);
+      if (file) args.push("-f", pathArg(file, "file"));
       args.push("up");
       if (detach) args.push("-d");
       if (build) args.push("--build");
 
-      const result = await exec("compose", args);
-      return {
-        success: result.code === 0,
-        output: result.stdout,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return await runOperation(
+        call,
+        { kind: "compose", background, info: { file } },
+        (options) => execStream("compose", args, options),
+        (result) => envelope(result),
+      );
     },
   },
 
   nerdctl_compose_down: {
     description: "Stop and remove containers defined in compose file",
+    effect: "mutating",
+    destructive: true,
+    resources: ["containers", "networks", "volumes"],
     params: {
-      file: { type: "string", description: "Compose file path" },
+      file: { type: "string", hostPath: true, description: "Compose file path" },
       volumes: { type: "boolean", description: "Remove volumes" },
       removeOrphans: { type: "boolean", description: "Remove orphan containers" },
     },
     handler: async ({ file, volumes = false, removeOrphans = false }) => {
       const args = [];
-      if (file) args.push("-f", file);
+      if (file) args.push("-f", pathArg(file, "file"));
       args.push("down");
       if (volumes) args.push("-v");
       if (removeOrphans) args.push("--remove-orphans");
 
       const result = await exec("compose", args);
-      return {
-        success: result.code === 0,
-        output: result.stdout,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result);
     },
   },
 
   nerdctl_compose_ps: {
     description: "List compose services",
+    effect: "read",
+    resources: ["containers"],
     params: {
-      file: { type: "string", description: "Compose file path" },
+      file: { type: "string", hostPath: true, description: "Compose file path" },
     },
     handler: async ({ file }) => {
       const args = [];
-      if (file) args.push("-f", file);
+      if (file) args.push("-f", pathArg(file, "file"));
       args.push("ps", "--format", "json");
 
       const result = await exec("compose", args);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-      return {
-        services: parseJsonOutput(result.stdout),
-      };
+      return envelope(result, (stdout) => ({ services: parseJsonOutput(stdout) }));
     },
   },
 
   nerdctl_compose_logs: {
     description: "View compose service logs",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
     params: {
-      file: { type: "string", description: "Compose file path" },
+      file: { type: "string", hostPath: true, description: "Compose file path" },
       service: { type: "string", description: "Service name (optional, all if omitted)" },
-      tail: { type: "number", description: "Number of lines from end" },
+      tail: { type: "integer", minimum: 0, description: "Number of lines from end" },
     },
     handler: async ({ file, service, tail }) => {
       const args = [];
-      if (file) args.push("-f", file);
+      if (file) args.push("-f", pathArg(file, "file"));
       args.push("logs");
       if (tail) args.push("--tail", String(tail));
-      if (service) args.push(service);
+      if (service) args.push(positional(service, "service"));
 
       const result = await exec("compose", args);
-      return {
-        logs: result.stdout,
-        success: result.code === 0,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result, (stdout) => ({ logs: stdout }));
     },
   },
 
@@ -780,59 +1038,96 @@ export const tools = {
 
   nerdctl_info: {
     description: "Display system-wide information",
+    effect: "read",
+    resources: ["containers", "images", "networks", "volumes"],
     params: {},
     handler: async () => {
       const result = await exec("info", ["--format", "json"]);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
-      }
-      return parseJsonOutput(result.stdout);
+      return envelope(result, parseJsonOutput);
     },
   },
 
   nerdctl_version: {
     description: "Show nerdctl version information",
+    effect: "read",
+    resources: [],
     params: {},
     handler: async () => {
       const result = await exec("version", ["--format", "json"]);
       if (result.code !== 0) {
         // Fallback to text output
-        const textResult = await exec("version", []);
-        return { version: textResult.stdout };
+        return envelope(await exec("version", []), (stdout) => ({ version: stdout }));
       }
-      return parseJsonOutput(result.stdout);
+      return envelope(result, parseJsonOutput);
     },
   },
 
   nerdctl_stats: {
     description: "Display container resource usage statistics",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
     params: {
-      containers: { type: "string", description: "Container(s) to show stats for (optional)" },
-      noStream: { type: "boolean", description: "Disable streaming (default: true for MCP)" },
+      containers: { type: "array", items: { type: "string" }, description: "Containers to show stats for (all when omitted)" },
+      noStream: { type: "boolean", default: true, description: "Disable streaming" },
     },
     handler: async ({ containers, noStream = true }) => {
       const args = ["--format", "json"];
       if (noStream) args.push("--no-stream");
       if (containers) {
-        args.push(...containers.split(",").map((c) => c.trim()));
+        args.push(...positionalList(containers, "containers"));
       }
 
       const result = await exec("stats", args);
-      if (result.code !== 0) {
-        throw new Error(result.stderr);
+      return envelope(result, (stdout) => ({ stats: parseJsonOutput(stdout) }));
+    },
+  },
+
+  nerdctl_events: {
+    description: "Collect runtime events for a few seconds, or subscribe to container lifecycle events",
+    effect: "read",
+    cache: false,
+    resources: ["containers", "images", "networks", "volumes"],
+    params: {
+      // containerd does not keep past events, so nerdctl has no since/until
+      duration: {
+        type: "integer",
+        minimum: 1,
+        maximum: 300,
+        description: "Seconds to collect new events for (default 5, ignored with follow)",
+      },
+      ...eventsParams,
+    },
+    handler: async ({ duration = 5, container, image, type, actions, limit, raw = false, follow = false, followTimeout = 300 }, call) => {
+      const match = eventFilter({ container, image, type, actions: actions ?? (follow ? LIFECYCLE_ACTIONS : undefined) });
+      const args = ["--format", "{{json .}}"];
+
+      if (follow) {
+        const result = await followStream(
+          call,
+          container ? { container } : {},
+          (options) => execStream("events", args, options),
+          { entry: eventEntry(match, { raw }), timeoutSeconds: followTimeout },
+        );
+        return envelope(result, () => ({ streamId: result.streamId, events: result.lines, stoppedBy: result.stoppedBy }));
       }
-      return {
-        stats: parseJsonOutput(result.stdout),
-      };
+
+      const result = await execStream("events", args, { collect: true, timeoutMs: duration * 1000, onLine: () => {} });
+      // Running out the window is how collection ends
+      const collected = { ...result, code: result.stoppedBy === "timeout" ? 0 : result.code };
+      return envelope(collected, (stdout) => collectEvents(stdout, match, { limit, raw }));
     },
   },
 
   nerdctl_system_prune: {
     description: "Remove unused containers, networks, images",
+    effect: "mutating",
+    destructive: true,
+    resources: ["containers", "images", "networks", "volumes"],
     params: {
       all: { type: "boolean", description: "Remove all unused images, not just dangling" },
       volumes: { type: "boolean", description: "Also prune volumes" },
-      force: { type: "boolean", description: "Do not prompt for confirmation" },
+      force: { type: "boolean", default: true, description: "Do not prompt for confirmation" },
     },
     handler: async ({ all = false, volumes = false, force = true }) => {
       const args = [];
@@ -841,11 +1136,7 @@ export const tools = {
       if (force) args.push("-f");
 
       const result = await exec("system", ["prune", ...args]);
-      return {
-        success: result.code === 0,
-        output: result.stdout,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      return envelope(result);
     },
   },
 };
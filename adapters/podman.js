@@ -9,6 +9,50 @@
  * Drop-in replacement for Docker with better security model.
  */
 
+import { newFileArg, pathArg, positional, positionalList, toArg } from "../lib/argv.js";
+import { parseCommand } from "../lib/shellwords.js";
+import {
+  backgroundParam,
+  cgroupnsParam,
+  commandParam,
+  envParam,
+  eventsParams,
+  imageParam,
+  keyValueFlags,
+  loginParams,
+  logsParams,
+  portFilterParams,
+  portFlags,
+  portsParam,
+  repeatFlag,
+  resourceLimitFlags,
+  resourceLimitParams,
+  securityOptParam,
+  signalParam,
+  targetsParam,
+  timeRangeFlags,
+  volumeFlags,
+  volumesParam,
+  waitParams,
+} from "../lib/params.js";
+import { toolResult } from "../lib/result.js";
+import { resolvePassword } from "../lib/credentials.js";
+import { planned } from "../lib/plan.js";
+import { filterLines, followStream, lineFilter, runUntilExit, streamLines } from "../lib/stream.js";
+import { runOperation } from "../lib/jobs.js";
+import { collectEvents, eventEntry, eventFilter, LIFECYCLE_ACTIONS } from "../lib/events.js";
+import {
+  normalizeContainers,
+  normalizeDiff,
+  normalizeHistory,
+  normalizeImages,
+  normalizeInspect,
+  normalizeNetworks,
+  normalizePortMappings,
+  normalizeProcesses,
+  normalizeVolumes,
+} from "../lib/normalize.js";
+
 const PODMAN_PATH = Deno.env.get("PODMAN_PATH") || "podman";
 const PODMAN_HOST = Deno.env.get("PODMAN_HOST") || "";
 
@@ -18,17 +62,11 @@ const ALLOWED_COMMANDS = [
   "ps", "inspect", "logs", "top", "stats", "port", "diff", "exec", "attach", "cp",
   "export", "images", "pull", "push", "build", "tag", "rmi", "save", "load",
   "image", "history", "network", "volume", "compose", "info", "version", "system",
-  "events", "login", "logout", "pod"
+  "events", "login", "logout", "pod", "wait"
 ];
 
-// Sanitize argument to prevent injection
-function sanitizeArg(arg) {
-  if (typeof arg !== "string") return String(arg);
-  return arg.replace(/[;&|`$(){}[\]<>]/g, "").trim();
-}
-
-// Execute podman command safely
-async function exec(subcommand, args = []) {
+// Build the full argument list for a whitelisted subcommand
+function commandArgs(subcommand, args) {
   if (!ALLOWED_COMMANDS.includes(subcommand)) {
     throw new Error(`Command not allowed: ${subcommand}`);
   }
@@ -38,26 +76,56 @@ async function exec(subcommand, args = []) {
     baseArgs.push("--url", PODMAN_HOST);
   }
 
-  const fullArgs = [...baseArgs, subcommand, ...args.map(sanitizeArg)];
+  // Arguments are passed verbatim: Deno.Command never invokes a shell
+  return [...baseArgs, subcommand, ...args.map((arg) => toArg(arg))];
+}
+
+// Execute podman command safely
+// `input` is written to stdin, for secrets that must not appear in argv
+async function exec(subcommand, args = [], { input } = {}) {
+  const fullArgs = commandArgs(subcommand, args);
+  const plan = planned(PODMAN_PATH, fullArgs, { input });
+  if (plan) return plan;
 
   const cmd = new Deno.Command(PODMAN_PATH, {
     args: fullArgs,
+    ...(input !== undefined && { stdin: "piped" }),
     stdout: "piped",
     stderr: "piped",
   });
 
-  const output = await cmd.output();
+  const started = performance.now();
+  const child = cmd.spawn();
+  if (input !== undefined) {
+    const writer = child.stdin.getWriter();
+    await writer.write(new TextEncoder().encode(input));
+    await writer.close();
+  }
+  const output = await child.output();
   const decoder = new TextDecoder();
 
   return {
     stdout: decoder.decode(output.stdout),
     stderr: decoder.decode(output.stderr),
     code: output.code,
+    argv: [PODMAN_PATH, ...fullArgs],
+    durationMs: Math.round(performance.now() - started),
   };
 }
 
+// Execute a podman command that streams (logs -f), line by line (see lib/stream.js)
+function execStream(subcommand, args, options) {
+  return streamLines(PODMAN_PATH, commandArgs(subcommand, args), options);
+}
+
 // Parse JSON output safely
 function parseJsonOutput(stdout) {
+  try {
+    // podman pretty-prints a single JSON array across many lines
+    return JSON.parse(stdout);
+  } catch {
+    // Fall through to NDJSON
+  }
   try {
     const lines = stdout.trim().split("\n").filter(Boolean);
     if (lines.length === 0) return [];
@@ -77,6 +145,18 @@ function parseJsonOutput(stdout) {
 export const name = "podman";
 export const description = "Podman - Daemonless container engine (FOSS preferred)";
 
+// How commands are run, for dry runs (see lib/plan.js)
+export const cli = {
+  binary: PODMAN_PATH,
+  globalFlags: { host: PODMAN_HOST || null },
+  module: import.meta.url,
+};
+
+// Wrap an exec result in the common result envelope (see lib/result.js)
+function envelope(result, parse) {
+  return toolResult(name, result, parse);
+}
+
 export async function connect() {
   const result = await exec("version");
   if (result.code !== 0) {
@@ -95,420 +175,768 @@ export async function isConnected() {
   }
 }
 
+/**
+ * Stream runtime events, one JSON object per line (see lib/events.js)
+ *
+ * @param {Object} options - streamLines() options (onLine, signal, ...)
+ */
+export function streamEvents(options) {
+  return execStream("events", ["--format", "{{json .}}"], options);
+}
+
 // ============================================================================
 // Tools (same structure as nerdctl, prefixed with podman_)
 // ============================================================================
 
+// Rootless podman-in-podman: the socket `nested` bind-mounts into the container
+const NESTED_SOCKET = `/run/user/${Deno.env.get("UID") || "1000"}/podman/podman.sock`;
+const NESTED_MOUNTS = [NESTED_SOCKET];
+
+// Container settings shared by podman_run and podman_create
+const containerParams = {
+  image: imageParam,
+  name: { type: "string", format: "name", description: "Container name (optional)" },
+  ports: portsParam,
+  env: envParam,
+  volumes: volumesParam,
+  network: { type: "string", description: "Network to connect to" },
+  command: commandParam,
+  privileged: { type: "boolean", description: "Run in privileged mode (for nested containers)" },
+  securityOpt: securityOptParam,
+  cgroupns: cgroupnsParam,
+  ...resourceLimitParams,
+  nested: { type: "boolean", description: "Setup for podman-in-podman (mounts podman socket)" },
+  userns: { type: "string", description: "User namespace mode (keep-id for rootless)" },
+};
+
+// Arguments for run and create, image and command last
+function containerArgs({ image, name, ports, env, volumes, network, command, privileged, securityOpt, cgroupns, nested, userns, memory, cpus }) {
+  const commandArgv = parseCommand(command);
+  const args = [];
+  if (name) args.push("--name", name);
+  if (network) args.push("--network", network);
+  if (privileged) args.push("--privileged");
+  if (cgroupns) args.push("--cgroupns", cgroupns);
+  if (userns) args.push("--userns", userns);
+
+  // Nested container setup - podman-in-podman
+  if (nested) {
+    args.push("-v", `${NESTED_SOCKET}:${NESTED_SOCKET}`);
+    args.push("-e", `CONTAINER_HOST=unix://${NESTED_SOCKET}`);
+    args.push("--security-opt", "label=disable");
+    if (!privileged && !userns) args.push("--userns", "keep-id");
+  }
+
+  args.push(...repeatFlag("--security-opt", securityOpt));
+  args.push(...portFlags(ports));
+  args.push(...keyValueFlags("-e", env));
+  args.push(...volumeFlags(volumes));
+  args.push(...resourceLimitFlags({ memory, cpus }));
+  args.push(positional(image, "image"), ...commandArgv);
+  return { args, commandArgv };
+}
+
 export const tools = {
   // Container Lifecycle
   podman_run: {
     description: "Run a new container",
+    effect: "mutating",
+    resources: ["containers", "images"],
+    hostMounts: { nested: NESTED_MOUNTS },
     params: {
-      image: { type: "string", description: "Container image to run" },
-      name: { type: "string", description: "Container name (optional)" },
-      detach: { type: "boolean", description: "Run in background (default: true)" },
-      ports: { type: "string", description: "Port mappings, e.g., '8080:80,443:443'" },
-      env: { type: "string", description: "Environment variables as JSON object" },
-      volumes: { type: "string", description: "Volume mounts, e.g., '/host:/container'" },
-      network: { type: "string", description: "Network to connect to" },
-      command: { type: "string", description: "Command to run in container" },
-      privileged: { type: "boolean", description: "Run in privileged mode (for nested containers)" },
-      securityOpt: { type: "string", description: "Security options, comma-separated" },
-      cgroupns: { type: "string", description: "Cgroup namespace mode (host, private)" },
-      nested: { type: "boolean", description: "Setup for podman-in-podman (mounts podman socket)" },
-      userns: { type: "string", description: "User namespace mode (keep-id for rootless)" },
-    },
-    handler: async ({ image, name, detach = true, ports, env, volumes, network, command, privileged, securityOpt, cgroupns, nested, userns }) => {
-      const args = [];
-      if (detach) args.push("-d");
-      if (name) args.push("--name", name);
-      if (network) args.push("--network", network);
-      if (privileged) args.push("--privileged");
-      if (cgroupns) args.push("--cgroupns", cgroupns);
-      if (userns) args.push("--userns", userns);
-
-      // Nested container setup - podman-in-podman
-      if (nested) {
-        // For rootless podman-in-podman
-        const uid = Deno.env.get("UID") || "1000";
-        args.push("-v", `/run/user/${uid}/podman/podman.sock:/run/user/${uid}/podman/podman.sock`);
-        args.push("-e", `CONTAINER_HOST=unix:///run/user/${uid}/podman/podman.sock`);
-        args.push("--security-opt", "label=disable");
-        if (!privileged && !userns) args.push("--userns", "keep-id");
-      }
-
-      if (securityOpt) {
-        securityOpt.split(",").forEach((opt) => args.push("--security-opt", opt.trim()));
-      }
-
-      if (ports) ports.split(",").forEach((p) => args.push("-p", p.trim()));
-      if (env) {
-        try {
-          const envObj = JSON.parse(env);
-          Object.entries(envObj).forEach(([k, v]) => args.push("-e", `${k}=${v}`));
-        } catch { args.push("-e", env); }
-      }
-      if (volumes) volumes.split(",").forEach((v) => args.push("-v", v.trim()));
-      args.push(image);
-      if (command) args.push(...command.split(" "));
-
-      const result = await exec("run", args);
-      return {
-        containerId: result.stdout.trim(),
-        success: result.code === 0,
-        nested: nested || false,
-        privileged: privileged || false,
-        error: result.code !== 0 ? result.stderr : undefined,
-      };
+      ...containerParams,
+      detach: { type: "boolean", default: true, description: "Run in background" },
+    },
+    handler: async ({ detach = true, ...params }) => {
+      const { args, commandArgv } = containerArgs(params);
+      const result = await exec("run", detach ? ["-d", ...args] : args);
+      return envelope(result, (stdout) => ({
+        containerId: stdout.trim(),
+        commandArgv,
+        nested: params.nested || false,
+        privileged: params.privileged || false,
+      }));
+    },
+  },
+
+  podman_create: {
+    description: "Create a container without starting it",
+    effect: "mutating",
+    resources: ["containers", "images"],
+    hostMounts: { nested: NESTED_MOUNTS },
+    params: containerParams,
+    handler: async (params) => {
+      const { args, commandArgv } = containerArgs(params);
+      const result = await exec("create", args);
+      return envelope(result, (stdout) => ({
+        containerId: stdout.trim(),
+        commandArgv,
+        nested: params.nested || false,
+        privileged: params.privileged || false,
+      }));
     },
   },
 
   podman_ps: {
     description: "List containers",
+    effect: "read",
+    resources: ["containers"],
     params: {
       all: { type: "boolean", description: "Show all containers" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
     },
-    handler: async ({ all = false }) => {
+    handler: async ({ all = false, raw = false }) => {
       const args = ["--format", "json"];
       if (all) args.push("-a");
       const result = await exec("ps", args);
-      return { containers: parseJsonOutput(result.stdout) };
+      return envelope(result, (stdout) => ({ containers: normalizeContainers(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   podman_stop: {
     description: "Stop containers",
-    params: { containers: { type: "string", description: "Container ID(s), comma-separated" } },
+    effect: "idempotent",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
     handler: async ({ containers }) => {
-      const result = await exec("stop", containers.split(",").map((c) => c.trim()));
-      return { stopped: containers.split(","), success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+      const targets = positionalList(containers, "containers");
+      const result = await exec("stop", targets);
+      return envelope(result, () => ({ stopped: targets }));
     },
   },
 
   podman_start: {
     description: "Start containers",
-    params: { containers: { type: "string", description: "Container ID(s), comma-separated" } },
+    effect: "idempotent",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
     handler: async ({ containers }) => {
-      const result = await exec("start", containers.split(",").map((c) => c.trim()));
-      return { started: containers.split(","), success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+      const targets = positionalList(containers, "containers");
+      const result = await exec("start", targets);
+      return envelope(result, () => ({ started: targets }));
     },
   },
 
   podman_restart: {
     description: "Restart containers",
-    params: { containers: { type: "string", description: "Container ID(s), comma-separated" } },
+    effect: "mutating",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
     handler: async ({ containers }) => {
-      const result = await exec("restart", containers.split(",").map((c) => c.trim()));
-      return { restarted: containers.split(","), success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+      const targets = positionalList(containers, "containers");
+      const result = await exec("restart", targets);
+      return envelope(result, () => ({ restarted: targets }));
+    },
+  },
+
+  podman_kill: {
+    description: "Send a signal to running containers",
+    effect: "mutating",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names"), signal: signalParam },
+    handler: async ({ containers, signal }) => {
+      const targets = positionalList(containers, "containers");
+      const args = signal ? ["--signal", signal] : [];
+      args.push(...targets);
+      const result = await exec("kill", args);
+      return envelope(result, () => ({ killed: targets, signal: signal || "KILL" }));
+    },
+  },
+
+  podman_pause: {
+    description: "Pause all processes in containers",
+    effect: "idempotent",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
+    handler: async ({ containers }) => {
+      const targets = positionalList(containers, "containers");
+      const result = await exec("pause", targets);
+      return envelope(result, () => ({ paused: targets }));
+    },
+  },
+
+  podman_unpause: {
+    description: "Resume all processes in paused containers",
+    effect: "idempotent",
+    resources: ["containers"],
+    params: { containers: targetsParam("Container IDs or names") },
+    handler: async ({ containers }) => {
+      const targets = positionalList(containers, "containers");
+      const result = await exec("unpause", targets);
+      return envelope(result, () => ({ unpaused: targets }));
+    },
+  },
+
+  podman_wait: {
+    description: "Block until a container exits and return its exit code",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
+    params: waitParams,
+    handler: ({ container, timeout = 300 }, call) => {
+      const target = positional(container, "container");
+      return runUntilExit(
+        (options) => execStream("wait", [target], options),
+        (result) => envelope(result, (stdout) => ({ container, exitCode: Number(stdout.trim()) })),
+        { signal: call?.signal, timeoutSeconds: timeout },
+      );
     },
   },
 
   podman_rm: {
     description: "Remove containers",
+    effect: "mutating",
+    destructive: true,
+    resources: ["containers", "volumes"],
     params: {
-      containers: { type: "string", description: "Container ID(s), comma-separated" },
+      containers: targetsParam("Container IDs or names"),
       force: { type: "boolean", description: "Force removal" },
     },
     handler: async ({ containers, force = false }) => {
+      const targets = positionalList(containers, "containers");
       const args = force ? ["-f"] : [];
-      args.push(...containers.split(",").map((c) => c.trim()));
+      args.push(...targets);
       const result = await exec("rm", args);
-      return { removed: containers.split(","), success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   podman_logs: {
     description: "Fetch container logs",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
     params: {
-      container: { type: "string", description: "Container ID or name" },
-      tail: { type: "number", description: "Lines from end" },
-    },
-    handler: async ({ container, tail }) => {
-      const args = tail ? ["--tail", String(tail), container] : [container];
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      tail: { type: "integer", minimum: 0, description: "Lines from end" },
+      ...logsParams,
+    },
+    handler: async ({ container, tail, follow = false, since, until, grep, followTimeout = 300 }, call) => {
+      const match = lineFilter(grep);
+      const args = tail ? ["--tail", String(tail)] : [];
+      args.push(...timeRangeFlags({ since, until }));
+      args.push(positional(container, "container"));
+
+      if (follow) {
+        const result = await followStream(
+          call,
+          { container },
+          (options) => execStream("logs", ["-f", ...args], options),
+          { match, timeoutSeconds: followTimeout },
+        );
+        return envelope(result, () => ({ streamId: result.streamId, lines: result.lines, stoppedBy: result.stoppedBy }));
+      }
+
       const result = await exec("logs", args);
-      return { logs: result.stdout, success: result.code === 0 };
+      return envelope(result, (stdout) => ({ logs: filterLines(stdout, match) }));
     },
   },
 
   podman_exec: {
     description: "Execute command in container",
+    effect: "mutating",
+    resources: ["containers"],
     params: {
-      container: { type: "string", description: "Container ID or name" },
-      command: { type: "string", description: "Command to execute" },
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      command: { ...commandParam, required: true },
     },
     handler: async ({ container, command }) => {
-      const result = await exec("exec", [container, ...command.split(" ")]);
-      return { output: result.stdout, success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+      const commandArgv = parseCommand(command);
+      const result = await exec("exec", [positional(container, "container"), ...commandArgv]);
+      return envelope(result, (stdout) => ({ output: stdout, commandArgv }));
     },
   },
 
   podman_inspect: {
     description: "Inspect container or image",
-    params: { target: { type: "string", description: "Container or image ID/name" } },
-    handler: async ({ target }) => {
-      const result = await exec("inspect", [target]);
-      return parseJsonOutput(result.stdout);
+    effect: "read",
+    resources: ["containers", "images"],
+    params: {
+      target: { type: "string", required: true, description: "Container or image ID/name" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ target, raw = false }) => {
+      const result = await exec("inspect", [positional(target, "target")]);
+      return envelope(result, (stdout) => normalizeInspect(parseJsonOutput(stdout), { raw }));
+    },
+  },
+
+  podman_top: {
+    description: "List container processes",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
+    params: { container: { type: "string", required: true, format: "name", description: "Container ID or name" } },
+    handler: async ({ container }) => {
+      const result = await exec("top", [positional(container, "container")]);
+      return envelope(result, (stdout) => ({ processes: normalizeProcesses(stdout) }));
+    },
+  },
+
+  podman_port: {
+    description: "List published ports",
+    effect: "read",
+    resources: ["containers"],
+    params: {
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      ...portFilterParams,
+    },
+    handler: async ({ container, port, protocol }) => {
+      const result = await exec("port", [positional(container, "container")]);
+      return envelope(result, (stdout) => ({ ports: normalizePortMappings(stdout, { port, protocol }) }));
+    },
+  },
+
+  podman_diff: {
+    description: "List filesystem changes in a container",
+    effect: "read",
+    resources: ["containers"],
+    params: { container: { type: "string", required: true, format: "name", description: "Container ID or name" } },
+    handler: async ({ container }) => {
+      const result = await exec("diff", [positional(container, "container")]);
+      return envelope(result, (stdout) => normalizeDiff(stdout));
     },
   },
 
   podman_cp: {
     description: "Copy files to/from container",
+    effect: "mutating",
+    resources: ["containers"],
     params: {
-      source: { type: "string", description: "Source path" },
-      destination: { type: "string", description: "Destination path" },
+      source: { type: "string", hostPath: "copy", required: true, description: "Source path" },
+      destination: { type: "string", hostPath: "copy", required: true, description: "Destination path" },
     },
     handler: async ({ source, destination }) => {
-      const result = await exec("cp", [source, destination]);
-      return { success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+      const result = await exec("cp", [pathArg(source, "source"), pathArg(destination, "destination")]);
+      return envelope(result);
+    },
+  },
+
+  podman_export: {
+    description: "Export container filesystem to a tar archive",
+    effect: "mutating",
+    resources: [],
+    params: {
+      container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+      output: { type: "string", hostPath: true, required: true, description: "Output file path (must not exist yet)" },
+    },
+    handler: async ({ container, output }) => {
+      const result = await exec("export", ["-o", newFileArg(output, "output"), positional(container, "container")]);
+      return envelope(result, () => ({ output }));
     },
   },
 
   // Image Management
   podman_images: {
     description: "List images",
-    params: {},
-    handler: async () => {
+    effect: "read",
+    resources: ["images"],
+    params: {
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ raw = false }) => {
       const result = await exec("images", ["--format", "json"]);
-      return { images: parseJsonOutput(result.stdout) };
+      return envelope(result, (stdout) => ({ images: normalizeImages(parseJsonOutput(stdout), { raw }) }));
+    },
+  },
+
+  podman_image_history: {
+    description: "Show image layers",
+    effect: "read",
+    resources: ["images"],
+    params: {
+      image: imageParam,
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ image, raw = false }) => {
+      const args = ["--format", "json", "--no-trunc", "--human=false", positional(image, "image")];
+      const result = await exec("history", args);
+      return envelope(result, (stdout) => ({ layers: normalizeHistory(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   podman_pull: {
     description: "Pull an image",
-    params: { image: { type: "string", description: "Image name" } },
-    handler: async ({ image }) => {
-      const result = await exec("pull", [image]);
-      return { image, success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+    effect: "idempotent",
+    resources: ["images"],
+    params: { image: imageParam, background: backgroundParam },
+    handler: async ({ image, background = false }, call) => {
+      return await runOperation(
+        call,
+        { kind: "pull", background, info: { image } },
+        (options) => execStream("pull", [positional(image, "image")], options),
+        (result) => envelope(result, () => ({ image })),
+      );
+    },
+  },
+
+  podman_login: {
+    description: "Log in to a container registry (the password is passed on stdin, never in argv or results)",
+    effect: "idempotent",
+    resources: [],
+    params: loginParams,
+    handler: async ({ registry, username, ...passwordSource }) => {
+      const { password, source } = await resolvePassword(passwordSource);
+      const args = [`--username=${username}`, "--password-stdin"];
+      if (registry) args.push(positional(registry, "registry"));
+
+      const result = await exec("login", args, { input: password });
+      return envelope(result, () => ({ registry: registry || null, username, passwordFrom: source }));
+    },
+  },
+
+  podman_logout: {
+    description: "Log out from a container registry",
+    effect: "idempotent",
+    resources: [],
+    params: {
+      registry: { type: "string", description: "Registry host (default: the runtime's default registry)" },
+    },
+    handler: async ({ registry }) => {
+      const result = await exec("logout", registry ? [positional(registry, "registry")] : []);
+      return envelope(result, () => ({ registry: registry || null }));
     },
   },
 
   podman_push: {
     description: "Push an image",
-    params: { image: { type: "string", description: "Image name" } },
-    handler: async ({ image }) => {
-      const result = await exec("push", [image]);
-      return { image, success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+    effect: "idempotent",
+    resources: [],
+    params: { image: imageParam, background: backgroundParam },
+    handler: async ({ image, background = false }, call) => {
+      return await runOperation(
+        call,
+        { kind: "push", background, info: { image } },
+        (options) => execStream("push", [positional(image, "image")], options),
+        (result) => envelope(result, () => ({ image })),
+      );
     },
   },
 
   podman_build: {
     description: "Build an image",
+    effect: "mutating",
+    resources: ["images"],
     params: {
-      context: { type: "string", description: "Build context path" },
-      tag: { type: "string", description: "Image tag" },
-      file: { type: "string", description: "Containerfile path" },
+      context: { type: "string", hostPath: true, default: ".", description: "Build context path" },
+      tag: { type: "string", format: "image", description: "Image tag" },
+      file: { type: "string", hostPath: true, description: "Containerfile path" },
+      background: backgroundParam,
     },
-    handler: async ({ context = ".", tag, file }) => {
+    handler: async ({ context = ".", tag, file, background = false }, call) => {
       const args = [];
       if (tag) args.push("-t", tag);
-      if (file) args.push("-f", file);
-      args.push(context);
-      const result = await exec("build", args);
-      return { tag, success: result.code === 0, error: result.code !== 0 ? result.stderr : undefined };
+      if (file) args.push("-f", pathArg(file, "file"));
+      args.push(pathArg(context, "context"));
+      return await runOperation(
+        call,
+        { kind: "build", background, info: { tag } },
+        (options) => execStream("build", args, options),
+        (result) => envelope(result, () => ({ tag })),
+      );
     },
   },
 
   podman_tag: {
     description: "Tag an image",
+    effect: "idempotent",
+    resources: ["images"],
     params: {
-      source: { type: "string", description: "Source image" },
-      target: { type: "string", description: "Target tag" },
+      source: { type: "string", required: true, format: "image", description: "Source image" },
+      target: { type: "string", required: true, format: "image", description: "Target tag" },
     },
     handler: async ({ source, target }) => {
-      const result = await exec("tag", [source, target]);
-      return { success: result.code === 0 };
+      const result = await exec("tag", [positional(source, "source"), positional(target, "target")]);
+      return envelope(result);
     },
   },
 
   podman_rmi: {
     description: "Remove images",
-    params: { images: { type: "string", description: "Image(s), comma-separated" } },
+    effect: "mutating",
+    destructive: true,
+    resources: ["images"],
+    params: { images: targetsParam("Image IDs or names", "image") },
     handler: async ({ images }) => {
-      const result = await exec("rmi", images.split(",").map((i) => i.trim()));
-      return { removed: images.split(","), success: result.code === 0 };
+      const targets = positionalList(images, "images");
+      const result = await exec("rmi", targets);
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   podman_save: {
     description: "Save image to archive",
+    effect: "idempotent",
+    resources: [],
     params: {
-      images: { type: "string", description: "Image(s)" },
-      output: { type: "string", description: "Output file" },
+      images: targetsParam("Image IDs or names", "image"),
+      output: { type: "string", hostPath: true, required: true, description: "Output file" },
     },
     handler: async ({ images, output }) => {
-      const result = await exec("save", ["-o", output, ...images.split(",")]);
-      return { output, success: result.code === 0 };
+      const result = await exec("save", ["-o", pathArg(output, "output"), ...positionalList(images, "images")]);
+      return envelope(result, () => ({ output }));
     },
   },
 
   podman_load: {
     description: "Load image from archive",
-    params: { input: { type: "string", description: "Input file" } },
+    effect: "idempotent",
+    resources: ["images"],
+    params: { input: { type: "string", hostPath: true, required: true, description: "Input file" } },
     handler: async ({ input }) => {
-      const result = await exec("load", ["-i", input]);
-      return { success: result.code === 0, output: result.stdout };
+      const result = await exec("load", ["-i", pathArg(input, "input")]);
+      return envelope(result);
     },
   },
 
   // Network
   podman_network_ls: {
     description: "List networks",
-    params: {},
-    handler: async () => {
+    effect: "read",
+    resources: ["networks"],
+    params: {
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ raw = false }) => {
       const result = await exec("network", ["ls", "--format", "json"]);
-      return { networks: parseJsonOutput(result.stdout) };
+      return envelope(result, (stdout) => ({ networks: normalizeNetworks(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   podman_network_create: {
     description: "Create network",
-    params: { name: { type: "string", description: "Network name" } },
+    effect: "mutating",
+    resources: ["networks"],
+    params: { name: { type: "string", required: true, format: "name", description: "Network name" } },
     handler: async ({ name }) => {
-      const result = await exec("network", ["create", name]);
-      return { name, success: result.code === 0 };
+      const result = await exec("network", ["create", positional(name, "name")]);
+      return envelope(result, () => ({ name }));
     },
   },
 
   podman_network_rm: {
     description: "Remove networks",
-    params: { networks: { type: "string", description: "Network(s), comma-separated" } },
+    effect: "mutating",
+    destructive: true,
+    resources: ["networks"],
+    params: { networks: targetsParam("Network names") },
     handler: async ({ networks }) => {
-      const result = await exec("network", ["rm", ...networks.split(",")]);
-      return { removed: networks.split(","), success: result.code === 0 };
+      const targets = positionalList(networks, "networks");
+      const result = await exec("network", ["rm", ...targets]);
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   podman_network_inspect: {
     description: "Inspect network",
-    params: { network: { type: "string", description: "Network name" } },
-    handler: async ({ network }) => {
-      const result = await exec("network", ["inspect", network]);
-      return parseJsonOutput(result.stdout);
+    effect: "read",
+    resources: ["networks"],
+    params: {
+      network: { type: "string", required: true, format: "name", description: "Network name" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ network, raw = false }) => {
+      const result = await exec("network", ["inspect", positional(network, "network")]);
+      return envelope(result, (stdout) => normalizeNetworks(parseJsonOutput(stdout), { raw }));
     },
   },
 
   // Volume
   podman_volume_ls: {
     description: "List volumes",
-    params: {},
-    handler: async () => {
-      const result = await exec("volume", ["ls", "--format", "json"]);
-      return { volumes: parseJsonOutput(result.stdout) };
+    effect: "read",
+    resources: ["volumes"],
+    params: {
+      dangling: { type: "boolean", description: "Only volumes no container uses" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ dangling = false, raw = false }) => {
+      const args = ["ls", "--format", "json"];
+      if (dangling) args.push("--filter", "dangling=true");
+      const result = await exec("volume", args);
+      return envelope(result, (stdout) => ({ volumes: normalizeVolumes(parseJsonOutput(stdout), { raw }) }));
     },
   },
 
   podman_volume_create: {
     description: "Create volume",
-    params: { name: { type: "string", description: "Volume name" } },
+    effect: "mutating",
+    resources: ["volumes"],
+    params: { name: { type: "string", required: true, format: "name", description: "Volume name" } },
     handler: async ({ name }) => {
-      const result = await exec("volume", ["create", name]);
-      return { name, success: result.code === 0 };
+      const result = await exec("volume", ["create", positional(name, "name")]);
+      return envelope(result, () => ({ name }));
     },
   },
 
   podman_volume_rm: {
     description: "Remove volumes",
-    params: { volumes: { type: "string", description: "Volume(s), comma-separated" } },
+    effect: "mutating",
+    destructive: true,
+    resources: ["volumes"],
+    params: { volumes: targetsParam("Volume names") },
     handler: async ({ volumes }) => {
-      const result = await exec("volume", ["rm", ...volumes.split(",")]);
-      return { removed: volumes.split(","), success: result.code === 0 };
+      const targets = positionalList(volumes, "volumes");
+      const result = await exec("volume", ["rm", ...targets]);
+      return envelope(result, () => ({ removed: targets }));
     },
   },
 
   podman_volume_inspect: {
     description: "Inspect volume",
-    params: { volume: { type: "string", description: "Volume name" } },
-    handler: async ({ volume }) => {
-      const result = await exec("volume", ["inspect", volume]);
-      return parseJsonOutput(result.stdout);
+    effect: "read",
+    resources: ["volumes"],
+    params: {
+      volume: { type: "string", required: true, format: "name", description: "Volume name" },
+      raw: { type: "boolean", description: "Attach the runtime's raw payload to each entry" },
+    },
+    handler: async ({ volume, raw = false }) => {
+      const result = await exec("volume", ["inspect", positional(volume, "volume")]);
+      return envelope(result, (stdout) => normalizeVolumes(parseJsonOutput(stdout), { raw }));
     },
   },
 
   // Compose (podman-compose or podman compose)
   podman_compose_up: {
     description: "Start compose services",
+    effect: "idempotent",
+    resources: ["containers", "images", "networks", "volumes"],
+    fromFile: true,
     params: {
-      file: { type: "string", description: "Compose file" },
-      detach: { type: "boolean", description: "Run in background" },
+      file: { type: "string", hostPath: true, description: "Compose file" },
+      detach: { type: "boolean", default: true, description: "Run in background" },
+      background: backgroundParam,
     },
-    handler: async ({ file, detach = true }) => {
-      const args = file ? ["-f", file, "up"] : ["up"];
+    handler: async ({ file, detach = true, background = false }, call) => {
+      const args = file ? ["-f", pathArg(file, "file"), "up"] : ["up"];
       if (detach) args.push("-d");
-      const result = await exec("compose", args);
-      return { success: result.code === 0, output: result.stdout, error: result.code !== 0 ? result.stderr : undefined };
+      return await runOperation(
+        call,
+        { kind: "compose", background, info: { file } },
+        (options) => execStream("compose", args, options),
+        (result) => envelope(result),
+      );
     },
   },
 
   podman_compose_down: {
     description: "Stop compose services",
-    params: { file: { type: "string", description: "Compose file" } },
+    effect: "mutating",
+    destructive: true,
+    resources: ["containers", "networks", "volumes"],
+    params: { file: { type: "string", hostPath: true, description: "Compose file" } },
     handler: async ({ file }) => {
-      const args = file ? ["-f", file, "down"] : ["down"];
+      const args = file ? ["-f", pathArg(file, "file"), "down"] : ["down"];
       const result = await exec("compose", args);
-      return { success: result.code === 0 };
+      return envelope(result);
     },
   },
 
   podman_compose_ps: {
     description: "List compose services",
-    params: { file: { type: "string", description: "Compose file" } },
+    effect: "read",
+    resources: ["containers"],
+    params: { file: { type: "string", hostPath: true, description: "Compose file" } },
     handler: async ({ file }) => {
-      const args = file ? ["-f", file, "ps", "--format", "json"] : ["ps", "--format", "json"];
+      const args = file ? ["-f", pathArg(file, "file"), "ps", "--format", "json"] : ["ps", "--format", "json"];
       const result = await exec("compose", args);
-      return { services: parseJsonOutput(result.stdout) };
+      return envelope(result, (stdout) => ({ services: parseJsonOutput(stdout) }));
     },
   },
 
   podman_compose_logs: {
     description: "View compose logs",
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
     params: {
-      file: { type: "string", description: "Compose file" },
+      file: { type: "string", hostPath: true, description: "Compose file" },
       service: { type: "string", description: "Service name" },
     },
     handler: async ({ file, service }) => {
-      const args = file ? ["-f", file, "logs"] : ["logs"];
-      if (service) args.push(service);
+      const args = file ? ["-f", pathArg(file, "file"), "logs"] : ["logs"];
+      if (service) args.push(positional(service, "service"));
       const result = await exec("compose", args);
-      return { logs: result.stdout };
+      return envelope(result, (stdout) => ({ logs: stdout }));
     },
   },
 
   // System
   podman_info: {
     description: "System information",
+    effect: "read",
+    resources: ["containers", "images", "networks", "volumes"],
     params: {},
     handler: async () => {
       const result = await exec("info", ["--format", "json"]);
-      return parseJsonOutput(result.stdout);
+      return envelope(result, parseJsonOutput);
     },
   },
 
   podman_version: {
     description: "Version information",
+    effect: "read",
+    resources: [],
     params: {},
     handler: async () => {
       const result = await exec("version", ["--format", "json"]);
       if (result.code !== 0) {
-        const text = await exec("version", []);
-        return { version: text.stdout };
+        return envelope(await exec("version", []), (stdout) => ({ version: stdout }));
       }
-      return parseJsonOutput(result.stdout);
+      return envelope(result, parseJsonOutput);
     },
   },
 
   podman_stats: {
     description: "Container stats",
-    params: { containers: { type: "string", description: "Container(s)" } },
+    effect: "read",
+    cache: false,
+    resources: ["containers"],
+    params: { containers: { type: "array", items: { type: "string" }, description: "Containers (all when omitted)" } },
     handler: async ({ containers }) => {
       const args = ["--format", "json", "--no-stream"];
-      if (containers) args.push(...containers.split(","));
+      if (containers) args.push(...positionalList(containers, "containers"));
       const result = await exec("stats", args);
-      return { stats: parseJsonOutput(result.stdout) };
+      return envelope(result, (stdout) => ({ stats: parseJsonOutput(stdout) }));
+    },
+  },
+
+  podman_events: {
+    description: "List runtime events in a time window, or subscribe to container lifecycle events",
+    effect: "read",
+    cache: false,
+    resources: ["containers", "images", "networks", "volumes"],
+    params: {
+      since: { type: "string", description: "Events since a timestamp or relative time (default 10m)" },
+      until: { type: "string", description: "Events before a timestamp or relative time (default now)" },
+      ...eventsParams,
+    },
+    handler: async ({ since = "10m", until, container, image, type, actions, limit, raw = false, follow = false, followTimeout = 300 }, call) => {
+      const match = eventFilter({ container, image, type, actions: actions ?? (follow ? LIFECYCLE_ACTIONS : undefined) });
+      const args = ["--format", "{{json .}}"];
+
+      if (follow) {
+        const result = await followStream(
+          call,
+          container ? { container } : {},
+          (options) => execStream("events", args, options),
+          { entry: eventEntry(match, { raw }), timeoutSeconds: followTimeout },
+        );
+        return envelope(result, () => ({ streamId: result.streamId, events: result.lines, stoppedBy: result.stoppedBy }));
+      }
+
+      // Without --until, events keeps waiting for new ones
+      args.push(...timeRangeFlags({ since, until: until ?? new Date().toISOString() }));
+      const result = await exec("events", args);
+      return envelope(result, (stdout) => collectEvents(stdout, match, { limit, raw }));
     },
   },
 
   podman_system_prune: {
     description: "Prune unused resources",
+    effect: "mutating",
+    destructive: true,
+    resources: ["containers", "images", "networks", "volumes"],
     params: {
       all: { type: "boolean", description: "Remove all unused" },
       volumes: { type: "boolean", description: "Include volumes" },
@@ -518,7 +946,7 @@ export const tools = {
       if (all) args.push("-a");
       if (volumes) args.push("--volumes");
       const result = await exec("system", ["prune", ...args]);
-      return { success: result.code === 0, output: result.stdout };
+      return envelope(result);
     },
   },
 };
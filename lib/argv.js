@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Argument Validation
+ * Rejects dangerous runtime CLI arguments instead of rewriting them
+ *
+ * Commands are spawned with Deno.Command, which never goes through a shell,
+ * so characters like `$`, `|` or `{}` carry no special meaning and are passed
+ * verbatim. What can still go wrong is the runtime's own option parser
+ * reading a value as a flag (`--privileged` given as a container name) and
+ * paths climbing out of where they were meant to point. Those are refused
+ * with an ArgumentError naming the offending field.
+ */
+
+import { ErrorCode } from "./result.js";
+
+export class ArgumentError extends Error {
+  constructor(field, value, reason) {
+    super(`Refused ${field} ${JSON.stringify(value)}: ${reason}`);
+    this.name = "ArgumentError";
+    this.code = ErrorCode.INVALID_ARGUMENT;
+    this.field = field;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Convert a value to a CLI argument, refusing NUL bytes
+ * (they would silently truncate the argument at the OS boundary)
+ */
+export function toArg(value, field = "argument") {
+  const arg = String(value);
+  if (arg.includes("\0")) {
+    throw new ArgumentError(field, arg, "contains a NUL byte");
+  }
+  return arg;
+}
+
+/**
+ * Validate a positional argument (image, container, network, volume name...)
+ * A leading "-" would be parsed by the runtime as an option.
+ */
+export function positional(value, field) {
+  const arg = toArg(value, field).trim();
+  if (arg === "") {
+    throw new ArgumentError(field, arg, "must not be empty");
+  }
+  if (arg.startsWith("-")) {
+    throw new ArgumentError(field, arg, "looks like an option where a name or ID is expected");
+  }
+  return arg;
+}
+
+/**
+ * Validate a list of positionals (array, or comma-separated string)
+ */
+export function positionalList(value, field) {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items
+    .map(String)
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => positional(item, field));
+}
+
+/**
+ * Validate a filesystem path (host path or `container:path`)
+ * Refuses option injection and `..` segments that escape the intended path.
+ */
+export function pathArg(value, field) {
+  const arg = positional(value, field);
+  // Splitting on ":" as well covers the container side of `container:path`
+  if (arg.split(/[\\/:]/).includes("..")) {
+    throw new ArgumentError(field, arg, "path escapes its directory via '..'");
+  }
+  return arg;
+}
+
+/**
+ * Validate a path for a file the runtime will create, refusing one that
+ * already exists (the runtime would overwrite it)
+ */
+export function newFileArg(value, field) {
+  const arg = pathArg(value, field);
+  try {
+    Deno.lstatSync(arg);
+  } catch (err) {
+    if (err instanceof Deno.errors.NotFound) return arg;
+    throw new ArgumentError(field, arg, err.message);
+  }
+  throw new ArgumentError(field, arg, "already exists and would be overwritten");
+}
@@ -0,0 +1,205 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Audit Log
+ * A record of every runtime command the server ran on the host: who asked
+ * (MCP session and client), through which tool, with which (redacted)
+ * arguments, and what came of it (argv, exit code, duration)
+ *
+ * Entries are appended to a JSONL file (CONTAINER_AUDIT_FILE) and/or sent
+ * to a syslog collector (CONTAINER_AUDIT_SYSLOG, RFC 5424 over TCP), and the
+ * most recent ones are kept in memory for container_audit_query. A sink the
+ * process may not write to stops the server at startup (the file needs
+ * --allow-write=<file>, the collector --allow-net=<host:port>); after that,
+ * writing is best effort: a failure is reported on stderr and never fails
+ * the call being audited.
+ */
+
+import { matchesAny } from "./policy.js";
+
+// Entries container_audit_query can search
+const RECENT_ENTRIES = 1000;
+
+// RFC 5424: facility local0, severity informational or warning
+const SYSLOG_FACILITY = 16;
+const SYSLOG_INFO = 6;
+const SYSLOG_WARNING = 4;
+const SYSLOG_APP = "polyglot-container-mcp";
+
+const encoder = new TextEncoder();
+
+/**
+ * Where a syslog sink sends to: tcp://host:port
+ */
+function parseSyslogTarget(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    throw new Error(`CONTAINER_AUDIT_SYSLOG ${target} is not a URL (expected tcp://host:port)`);
+  }
+  if (url.protocol !== "tcp:" || !url.hostname) {
+    throw new Error(`CONTAINER_AUDIT_SYSLOG ${target} must be tcp://host:port`);
+  }
+  return { hostname: url.hostname, port: Number(url.port || 514) };
+}
+
+/**
+ * Make sure entries can be appended to the audit file, creating it if need be
+ */
+function openAuditFile(file) {
+  if (Deno.permissions.querySync({ name: "write", path: file }).state !== "granted") {
+    throw new Error(`CONTAINER_AUDIT_FILE ${file} is not writable: run deno with --allow-write=${file}`);
+  }
+  try {
+    Deno.openSync(file, { append: true, create: true, mode: 0o600 }).close();
+  } catch (err) {
+    throw new Error(`CONTAINER_AUDIT_FILE ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Make sure the syslog collector may be connected to; whether it is up is
+ * found out per entry, as it may come and go
+ */
+function checkSyslogAccess({ hostname, port }, target) {
+  const host = `${hostname}:${port}`;
+  if (Deno.permissions.querySync({ name: "net", host }).state !== "granted") {
+    throw new Error(`CONTAINER_AUDIT_SYSLOG ${target} may not be connected to: run deno with --allow-net=${host}`);
+  }
+}
+
+/**
+ * One entry as an RFC 5424 message with octet-counting framing (RFC 6587)
+ */
+function syslogFrame(entry) {
+  const severity = entry.success ? SYSLOG_INFO : SYSLOG_WARNING;
+  const message = `<${SYSLOG_FACILITY * 8 + severity}>1 ${entry.timestamp} - ${SYSLOG_APP} ${Deno.pid} audit - ${
+    JSON.stringify(entry)
+  }`;
+  const bytes = encoder.encode(message);
+  return encoder.encode(`${bytes.length} ${message}`);
+}
+
+async function writeAll(conn, bytes) {
+  let written = 0;
+  while (written < bytes.length) {
+    written += await conn.write(bytes.subarray(written));
+  }
+}
+
+/**
+ * Audit entries: the sinks they are written to and the recent ones in memory
+ */
+export class AuditLog {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - JSONL file entries are appended to
+   * @param {string} [options.syslog] - tcp://host:port of a syslog collector
+   * @param {number} [options.recent] - Entries kept for query()
+   * @throws {Error} When a sink cannot be written to
+   */
+  constructor({ file, syslog, recent = RECENT_ENTRIES } = {}) {
+    this.file = file || null;
+    this.syslog = syslog ? parseSyslogTarget(syslog) : null;
+    this.syslogTarget = syslog || null;
+    if (this.file) openAuditFile(this.file);
+    if (this.syslog) checkSyslogAccess(this.syslog, this.syslogTarget);
+    this.recent = recent;
+    this.entries = [];
+    this.recorded = 0;
+    this.failures = 0;
+    this.connection = null;
+    // Sinks are written one entry at a time, in order
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Add an entry (already redacted) and queue it for the sinks
+   *
+   * @param {Object} entry - { session, tool, params, runtime, argv, exitCode, durationMs, success, ... }
+   * @returns {Object} The entry as recorded, timestamp first
+   */
+  record(entry) {
+    const recorded = { timestamp: new Date().toISOString(), ...entry };
+    this.entries.push(recorded);
+    if (this.entries.length > this.recent) this.entries.shift();
+    this.recorded++;
+
+    if (this.file || this.syslog) {
+      this.writing = this.writing.then(() => this.write(recorded));
+    }
+    return recorded;
+  }
+
+  async write(entry) {
+    if (this.file) {
+      try {
+        await Deno.writeTextFile(this.file, `${JSON.stringify(entry)}\n`, { append: true, create: true, mode: 0o600 });
+      } catch (err) {
+        this.failures++;
+        console.error(`Audit file ${this.file}: ${err.message}`);
+      }
+    }
+
+    if (this.syslog) {
+      try {
+        this.connection ??= await Deno.connect(this.syslog);
+        await writeAll(this.connection, syslogFrame(entry));
+      } catch (err) {
+        this.failures++;
+        console.error(`Audit syslog ${this.syslogTarget}: ${err.message}`);
+        // Reconnect for the next entry
+        try {
+          this.connection?.close();
+        } catch {
+          // Already closed
+        }
+        this.connection = null;
+      }
+    }
+  }
+
+  /**
+   * Recent entries matching a filter, newest first
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.tool] - Tool name, `*` wildcards allowed (matches the tool called or the runtime tool it ran)
+   * @param {string} [filter.runtime]
+   * @param {string} [filter.session] - MCP session id
+   * @param {string} [filter.since] - ISO 8601 time
+   * @param {boolean} [filter.failed] - true for only the calls that did not succeed, false for only those that did
+   * @param {number} [filter.limit]
+   * @param {string} [filter.subject] - Only calls made with this token subject (HTTP authorization)
+   */
+  query({ tool, runtime, session, since, failed, limit = 50, subject } = {}) {
+    const sinceTime = since ? Date.parse(since) : null;
+
+    const matches = this.entries.filter((entry) =>
+      (!tool || matchesAny([tool], entry.tool) || matchesAny([tool], entry.via ?? "")) &&
+      (!runtime || entry.runtime === runtime) &&
+      (!session || entry.session?.id === session) &&
+      (subject === undefined || entry.session?.subject === subject) &&
+      (sinceTime === null || Date.parse(entry.timestamp) >= sinceTime) &&
+      (failed === undefined || entry.success === !failed)
+    );
+
+    return {
+      total: matches.length,
+      entries: matches.slice(-limit).reverse(),
+      retained: this.entries.length,
+      oldest: this.entries[0]?.timestamp ?? null,
+    };
+  }
+
+  status() {
+    return {
+      file: this.file,
+      syslog: this.syslogTarget,
+      recorded: this.recorded,
+      retained: this.entries.length,
+      writeFailures: this.failures,
+    };
+  }
+}
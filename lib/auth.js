@@ -0,0 +1,377 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * HTTP Authorization
+ * Bearer tokens for the HTTP transport, as an OAuth 2.1 resource server
+ * (MCP authorization spec, 2025-06-18): every /mcp request must carry a
+ * token, and a token's scopes decide which tools it may list and call
+ *
+ * The configuration (JSON, MCP_AUTH_FILE) is read at startup; a file that
+ * does not load stops the server:
+ *
+ *   {
+ *     "resource": "https://mcp.example.com/mcp",
+ *     "tokens":   [{ "subject": "dashboard", "sha256": "9f86d0...", "scopes": ["container:read"] }],
+ *     "jwt":      { "issuer": "https://auth.example.com", "jwksUrl": "https://auth.example.com/jwks.json" },
+ *     "scopes":   { "deploy": ["container_pull", "container_run"] }
+ *   }
+ *
+ * `tokens` are static bearer tokens (their SHA-256, or the token itself for
+ * testing). `jwt` accepts signed access tokens from an authorization server,
+ * checked against its JWKS (`jwksUrl`, or `jwksFile` / `keys` for offline
+ * use), its issuer, and an audience of this server (`audience`, default
+ * `resource`). Scopes:
+ *
+ *   container:read         tools whose effect is read, and stopping the
+ *                          caller's own follows and jobs (cancelsOwn)
+ *   container:lifecycle    tools that change something but remove nothing
+ *   container:destructive  tools flagged destructive
+ *   (custom)               the tools listed, `*` wildcards allowed
+ *
+ * Refusals are AuthErrors carrying the HTTP status (401 or 403) and the
+ * RFC 6750 error code for the WWW-Authenticate challenge.
+ */
+
+import { matchesAny } from "./policy.js";
+
+const SECTIONS = ["resource", "tokens", "jwt", "scopes"];
+
+// How long a fetched JWKS is trusted, and how often an unknown key id may refetch it
+const JWKS_TTL_MS = 10 * 60 * 1000;
+const JWKS_REFRESH_MS = 30 * 1000;
+
+// Allowed difference between our clock and the authorization server's
+const CLOCK_SKEW_S = 60;
+
+const DEFAULT_SCOPES = {
+  "container:read": (tool) => tool.effect === "read" || Boolean(tool.cancelsOwn),
+  "container:lifecycle": (tool) => tool.effect !== "read" && !tool.destructive,
+  "container:destructive": (tool) => Boolean(tool.destructive),
+};
+
+/**
+ * A request that is not authorized
+ *
+ * `status` is 401 (no or bad token) or 403 (token lacks a scope); `error` is
+ * the RFC 6750 code (invalid_request, invalid_token, insufficient_scope),
+ * null when no token was sent at all
+ */
+export class AuthError extends Error {
+  constructor(status, error, message, scope = null) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.error = error;
+    this.scope = scope;
+  }
+}
+
+const invalidToken = (message) => new AuthError(401, "invalid_token", message);
+
+// ============================================================================
+// JSON Web Tokens
+// ============================================================================
+
+const rsa = (name, bits, verify = {}) => ({
+  kty: "RSA",
+  params: { name, hash: `SHA-${bits}` },
+  verify: { name, ...verify },
+});
+
+// JWS algorithms (RFC 7518) and their WebCrypto equivalents; "none" is never accepted
+const ALGORITHMS = {
+  RS256: rsa("RSASSA-PKCS1-v1_5", 256),
+  RS384: rsa("RSASSA-PKCS1-v1_5", 384),
+  RS512: rsa("RSASSA-PKCS1-v1_5", 512),
+  PS256: rsa("RSA-PSS", 256, { saltLength: 32 }),
+  PS384: rsa("RSA-PSS", 384, { saltLength: 48 }),
+  PS512: rsa("RSA-PSS", 512, { saltLength: 64 }),
+  ES256: { kty: "EC", params: { name: "ECDSA", namedCurve: "P-256" }, verify: { name: "ECDSA", hash: "SHA-256" } },
+  ES384: { kty: "EC", params: { name: "ECDSA", namedCurve: "P-384" }, verify: { name: "ECDSA", hash: "SHA-384" } },
+  EdDSA: { kty: "OKP", params: { name: "Ed25519" }, verify: { name: "Ed25519" } },
+  HS256: { kty: "oct", params: { name: "HMAC", hash: "SHA-256" }, verify: { name: "HMAC" } },
+  HS384: { kty: "oct", params: { name: "HMAC", hash: "SHA-384" }, verify: { name: "HMAC" } },
+  HS512: { kty: "oct", params: { name: "HMAC", hash: "SHA-512" }, verify: { name: "HMAC" } },
+};
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "="));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function decodeJson(part, what) {
+  try {
+    return JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+  } catch {
+    throw invalidToken(`Malformed token ${what}`);
+  }
+}
+
+/**
+ * Signing keys of an authorization server: a JWKS from a URL, a file or the
+ * configuration itself
+ */
+class KeySet {
+  constructor({ jwksUrl, jwksFile, keys }) {
+    this.url = jwksUrl || null;
+    this.keys = keys || (jwksFile ? JSON.parse(Deno.readTextFileSync(jwksFile)).keys : []);
+    this.fetchedAt = 0;
+    this.imported = new Map();
+  }
+
+  async refresh() {
+    const response = await fetch(this.url, { headers: { Accept: "application/json" } });
+    if (!response.ok) throw new Error(`JWKS ${this.url} answered ${response.status}`);
+    this.keys = (await response.json()).keys || [];
+    this.fetchedAt = Date.now();
+    this.imported.clear();
+  }
+
+  /**
+   * The key a token was signed with, imported for verification
+   */
+  async find(kid, alg) {
+    const algorithm = ALGORITHMS[alg];
+    const age = Date.now() - this.fetchedAt;
+    if (this.url && age > JWKS_TTL_MS) await this.refresh();
+
+    const pick = () =>
+      this.keys.find((jwk) =>
+        jwk.kty === algorithm.kty && (!jwk.alg || jwk.alg === alg) && (!jwk.use || jwk.use === "sig") &&
+        (kid === undefined || jwk.kid === kid)
+      );
+    let jwk = pick();
+    // Keys rotate: an unknown key id may mean the set changed
+    if (!jwk && this.url && Date.now() - this.fetchedAt > JWKS_REFRESH_MS) {
+      await this.refresh();
+      jwk = pick();
+    }
+    if (!jwk) throw invalidToken(`No ${alg} signing key${kid === undefined ? "" : ` with kid ${kid}`}`);
+
+    const cacheKey = `${jwk.kid ?? this.keys.indexOf(jwk)}:${alg}`;
+    if (!this.imported.has(cacheKey)) {
+      const { key_ops: _keyOps, ...publicJwk } = jwk;
+      this.imported.set(cacheKey, await crypto.subtle.importKey("jwk", publicJwk, algorithm.params, false, ["verify"]));
+    }
+    return this.imported.get(cacheKey);
+  }
+}
+
+/**
+ * Check a JWT access token's signature and claims
+ *
+ * @returns {Promise<Object>} Its claims
+ * @throws {AuthError} invalid_token
+ */
+async function verifyJwt(token, keySet, { issuer, audience }) {
+  const [headerPart, payloadPart, signaturePart] = token.split(".");
+  const header = decodeJson(headerPart, "header");
+  const claims = decodeJson(payloadPart, "payload");
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) throw invalidToken(`Unsupported signing algorithm ${header.alg}`);
+
+  const key = await keySet.find(header.kid, header.alg);
+  const signed = new TextEncoder().encode(`${headerPart}.${payloadPart}`);
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify(algorithm.verify, key, base64UrlDecode(signaturePart), signed);
+  } catch {
+    // Not base64url, or not a signature of the key's kind
+  }
+  if (!valid) throw invalidToken("Bad token signature");
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp !== "number") throw invalidToken("Token has no expiry");
+  if (claims.exp + CLOCK_SKEW_S < now) throw invalidToken("Token expired");
+  if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_S > now) throw invalidToken("Token not valid yet");
+  if (issuer && claims.iss !== issuer) throw invalidToken("Token from another issuer");
+
+  // Tokens issued for another resource must not be accepted here (no token passthrough)
+  const audiences = [claims.aud].flat();
+  if (!audiences.includes(audience)) throw invalidToken("Token is not for this server");
+  return claims;
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+function fail(path, message) {
+  throw new Error(`Auth ${path}: ${message}`);
+}
+
+function stringList(path, field, value) {
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+    fail(path, `${field} must be a list of strings`);
+  }
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Parse and check an auth configuration; unknown sections are refused so a
+ * typo cannot quietly leave the server open
+ *
+ * @param {string} text - JSON
+ * @param {string} path - For error messages
+ * @returns {Object} The configuration
+ */
+export function parseAuthConfig(text, path) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    fail(path, `is not valid JSON (${err.message})`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) fail(path, "must be a JSON object");
+
+  for (const key of Object.keys(config)) {
+    if (!SECTIONS.includes(key)) fail(path, `unknown section ${key} (expected ${SECTIONS.join(", ")})`);
+  }
+
+  const { resource, tokens = [], jwt, scopes = {} } = config;
+  if (!tokens.length && !jwt) fail(path, "needs tokens or jwt (or both)");
+  if (resource !== undefined && !URL.canParse(resource)) fail(path, "resource must be this server's /mcp URL");
+
+  for (const [index, entry] of tokens.entries()) {
+    if ((entry.sha256 === undefined) === (entry.token === undefined)) {
+      fail(path, `tokens[${index}] needs either sha256 or token`);
+    }
+    if (entry.sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(entry.sha256)) {
+      fail(path, `tokens[${index}].sha256 must be a hex SHA-256 digest`);
+    }
+    if (typeof entry.subject !== "string") fail(path, `tokens[${index}].subject must name who holds the token`);
+    stringList(path, `tokens[${index}].scopes`, entry.scopes);
+  }
+
+  if (jwt) {
+    const sources = ["jwksUrl", "jwksFile", "keys"].filter((key) => jwt[key] !== undefined);
+    if (sources.length !== 1) fail(path, "jwt needs exactly one of jwksUrl, jwksFile or keys");
+    if (!jwt.audience && !resource) fail(path, "jwt needs audience (or resource) so tokens for other servers are refused");
+    if (jwt.keys !== undefined && !Array.isArray(jwt.keys)) fail(path, "jwt.keys must be a list of JWKs");
+  }
+
+  for (const [scope, patterns] of Object.entries(scopes)) {
+    stringList(path, `scopes.${scope}`, patterns);
+  }
+  return config;
+}
+
+// ============================================================================
+// Authorizer
+// ============================================================================
+
+/**
+ * Create the authorizer for the HTTP transport
+ *
+ * @param {Object} options
+ * @param {string} [options.path] - Configuration file; without one, null (no auth)
+ * @param {Object} options.tools - Tool definitions by name ({ effect, destructive, ... })
+ * @param {string} [options.endpoint] - Path of the MCP endpoint, for the resource URL when `resource` is not set
+ * @returns {Promise<Object|null>} `{ authenticate, authorize, permits, challenge, metadata }`
+ */
+export async function createAuth({ path, tools, endpoint = "/mcp" }) {
+  if (!path) return null;
+
+  const config = parseAuthConfig(Deno.readTextFileSync(path), path);
+  const { resource, tokens = [], jwt, scopes: customScopes = {} } = config;
+
+  // Static tokens by the hash of their value, so the file need not hold them
+  const staticTokens = new Map();
+  for (const entry of tokens) {
+    staticTokens.set((entry.sha256 ?? (await sha256(entry.token))).toLowerCase(), entry);
+  }
+  const keySet = jwt ? new KeySet(jwt) : null;
+
+  const scopes = {
+    ...DEFAULT_SCOPES,
+    ...Object.fromEntries(
+      Object.entries(customScopes).map(([scope, patterns]) => [scope, (_tool, toolName) => matchesAny(patterns, toolName)]),
+    ),
+  };
+
+  // The scopes that grant a tool
+  const scopesFor = (toolName) => {
+    const tool = tools[toolName];
+    return tool ? Object.keys(scopes).filter((scope) => scopes[scope](tool, toolName)) : [];
+  };
+
+  // This server as an OAuth protected resource: configured, or the endpoint on the host the request reached
+  const resourceUrl = (request) => new URL(resource ?? endpoint, request.url);
+
+  function permits(principal, toolName) {
+    return scopesFor(toolName).some((scope) => principal.scopes.includes(scope));
+  }
+
+  return {
+    /**
+     * Who sent a request, from its bearer token
+     *
+     * @param {Request} request
+     * @returns {Promise<{ subject: string, scopes: string[], via: "token" | "jwt" }>}
+     * @throws {AuthError} 401
+     */
+    async authenticate(request) {
+      const header = request.headers.get("Authorization");
+      if (!header) throw new AuthError(401, null, "No Authorization header");
+
+      const [, token] = header.match(/^Bearer\s+([A-Za-z0-9\-._~+/]+=*)\s*$/i) || [];
+      if (!token) throw new AuthError(401, "invalid_request", "Authorization must be a Bearer token");
+
+      const entry = staticTokens.get(await sha256(token));
+      if (entry) return { subject: entry.subject, scopes: entry.scopes, via: "token" };
+
+      if (keySet && token.split(".").length === 3) {
+        const claims = await verifyJwt(token, keySet, {
+          issuer: jwt.issuer,
+          audience: jwt.audience ?? resource,
+        });
+        const granted = typeof claims.scope === "string" ? claims.scope.split(" ").filter(Boolean) : [claims.scp ?? []].flat();
+        return { subject: String(claims.sub ?? claims.client_id ?? "unknown"), scopes: granted, via: "jwt" };
+      }
+      throw invalidToken("Unknown token");
+    },
+
+    /**
+     * Refuse a tool call the principal's scopes do not grant
+     *
+     * @throws {AuthError} 403 insufficient_scope, naming a scope that would do
+     */
+    authorize(principal, toolName) {
+      // Unknown tools are left for the dispatcher to report
+      if (!tools[toolName] || permits(principal, toolName)) return;
+      throw new AuthError(403, "insufficient_scope", `${toolName} needs scope ${scopesFor(toolName).join(" or ")}`, scopesFor(toolName)[0]);
+    },
+
+    permits,
+
+    /**
+     * WWW-Authenticate header value for a refusal (RFC 6750, RFC 9728)
+     */
+    challenge(request, error) {
+      const metadataUrl = new URL(`/.well-known/oauth-protected-resource${resourceUrl(request).pathname}`, resourceUrl(request));
+      const params = [`resource_metadata="${metadataUrl}"`];
+      if (error.error) params.push(`error="${error.error}"`, `error_description="${error.message.replace(/["\\]/g, "")}"`);
+      if (error.scope) params.push(`scope="${error.scope}"`);
+      return `Bearer ${params.join(", ")}`;
+    },
+
+    /**
+     * OAuth 2.0 Protected Resource Metadata (RFC 9728)
+     */
+    metadata(request) {
+      return {
+        resource: resourceUrl(request).href,
+        ...(jwt?.issuer && { authorization_servers: [jwt.issuer] }),
+        scopes_supported: Object.keys(scopes),
+        bearer_methods_supported: ["header"],
+      };
+    },
+  };
+}
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Destructive Call Confirmation
+ * With CONTAINER_CONFIRM_DESTRUCTIVE=true, tools flagged `destructive` only
+ * run once a person has seen what they remove (lib/preview.js):
+ *
+ *   elicitation  - clients that support MCP elicitation are asked during the
+ *                  call; declining fails it with CANCELLED
+ *   two-step     - other clients get a CONFIRMATION_REQUIRED error carrying
+ *                  the preview and a confirmationId; calling the tool again
+ *                  with the same arguments plus that confirmationId runs it
+ *
+ * A confirmationId is good for one call with exactly the arguments it was
+ * issued for, from the same MCP session and token subject, within
+ * CONFIRMATION_TTL_MS.
+ */
+
+const CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// The form shown to the person (MCP elicitation requestedSchema)
+export const CONFIRM_SCHEMA = {
+  type: "object",
+  properties: {
+    confirm: { type: "boolean", title: "Remove", description: "Go ahead with the removal" },
+  },
+  required: ["confirm"],
+};
+
+/**
+ * A call that did not run for want of confirmation: `confirmation` holds the
+ * preview, and the confirmationId when one was issued
+ */
+export class ConfirmationError extends Error {
+  constructor(code, message, confirmation) {
+    super(message);
+    this.name = "ConfirmationError";
+    this.code = code;
+    this.confirmation = confirmation;
+  }
+}
+
+// Arguments in a stable order, so equal calls compare equal
+function fingerprint(toolName, params) {
+  const sorted = (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map((key) => [key, sorted(value[key])]))
+      : Array.isArray(value)
+      ? value.map(sorted)
+      : value;
+  return JSON.stringify([toolName, sorted(params)]);
+}
+
+// Who a confirmationId belongs to: the MCP session and the token subject
+function caller(session) {
+  return JSON.stringify([session?.id ?? null, session?.subject ?? null]);
+}
+
+/**
+ * Outstanding confirmationIds of the two-step flow
+ */
+export class ConfirmationStore {
+  constructor({ ttlMs = CONFIRMATION_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.pending = new Map();
+  }
+
+  /**
+   * Issue a confirmationId for a call
+   *
+   * @param {string} toolName
+   * @param {Object} params
+   * @param {Object} [session] - The caller's MCP session ({ id, subject }), null over stdio
+   * @returns {{ confirmationId: string, expiresAt: string }}
+   */
+  issue(toolName, params, session) {
+    this.expire();
+    const confirmationId = crypto.randomUUID();
+    const expiresAt = Date.now() + this.ttlMs;
+    this.pending.set(confirmationId, { call: fingerprint(toolName, params), caller: caller(session), expiresAt });
+    return { confirmationId, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Use up a confirmationId; false unless it was issued for this very call,
+   * by the same caller, and is still valid
+   */
+  redeem(confirmationId, toolName, params, session) {
+    this.expire();
+    const entry = this.pending.get(confirmationId);
+    if (!entry || entry.call !== fingerprint(toolName, params) || entry.caller !== caller(session)) return false;
+    this.pending.delete(confirmationId);
+    return true;
+  }
+
+  expire() {
+    const now = Date.now();
+    for (const [id, { expiresAt }] of this.pending) {
+      if (expiresAt <= now) this.pending.delete(id);
+    }
+  }
+}
@@ -0,0 +1,968 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Server Core
+ * One tool registry and dispatcher shared by every transport
+ *
+ * Meta tools, unified container_* tools and per-runtime adapter tools are
+ * all registered here in the adapter tool format ({ description, params,
+ * handler }). Transports only translate between their wire format and
+ * `getTools()` / `callTool()`, so a tool behaves the same over stdio and
+ * HTTP.
+ */
+
+import * as nerdctl from "../adapters/nerdctl.js";
+import * as podman from "../adapters/podman.js";
+import * as docker from "../adapters/docker.js";
+import { createUnifiedTools, forwardParams } from "./unified.js";
+import { AuditLog } from "./audit.js";
+import { CONFIRM_SCHEMA, ConfirmationError, ConfirmationStore } from "./confirm.js";
+import { eventResource, parseEvent } from "./events.js";
+import { JobStore } from "./jobs.js";
+import { confirmationIdParam, dryRunParam } from "./params.js";
+import { planCall, resolveBinary } from "./plan.js";
+import { createPolicy } from "./policy.js";
+import { describeRemoval, previewRemoval } from "./preview.js";
+import {
+  createDiagnosticTools,
+  HealthChecker,
+  MetricsCollector,
+  ResilientAdapter,
+} from "./resilience.js";
+import { redact, redactParams, redactText, secretsOf } from "./redact.js";
+import { ErrorCode } from "./result.js";
+import { toAnnotations, toJsonSchema } from "./schema.js";
+import { applyDefaults, ValidationError, validateParams } from "./validate.js";
+
+export const PACKAGE_NAME = "polyglot-container-mcp";
+export const PACKAGE_VERSION = "1.1.0";
+export const FEEDBACK_URL = "https://github.com/hyperpolymath/polyglot-container-mcp/issues";
+
+/**
+ * Format error with feedback URL
+ */
+export function formatError(error, context = {}) {
+  const message = error instanceof Error ? error.message : String(error);
+  return {
+    error: message,
+    // Stable code from lib/result.js (INVALID_PARAMS, INVALID_ARGUMENT, ...)
+    ...(error?.code && { code: error.code }),
+    // One entry per bad field, so callers can fix every argument at once
+    ...(error instanceof ValidationError && { validation: error.errors }),
+    // The policy rule that refused the call (POLICY_DENIED)
+    ...(error?.rule && { rule: error.rule }),
+    // What a destructive call would remove, and how to confirm it (CONFIRMATION_REQUIRED)
+    ...(error?.confirmation && { confirmation: error.confirmation }),
+    context,
+    feedback: `Report issues: ${FEEDBACK_URL}`,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// MCP tool results
+function textResult(value, isError = false) {
+  return {
+    content: [{ type: "text", text: JSON.stringify(value, null, 2) }],
+    isError,
+  };
+}
+
+// `secrets` from lib/redact.js secretsOf(), for the call that failed
+function errorResult(error, context, secrets = []) {
+  return textResult(redact(formatError(error, context), secrets), true);
+}
+
+// Defaults for each runtime's ResilientAdapter (see lib/resilience.js)
+const RESILIENCE_DEFAULTS = {
+  circuitBreaker: { threshold: 5, resetTimeout: 30000 },
+  retry: { maxAttempts: 3, baseDelay: 500, maxDelay: 4000 },
+  // Container state changes underneath us, so cached answers are short-lived
+  cache: { maxSize: 200, defaultTtl: 5000 },
+};
+
+/**
+ * Create the server core
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.adapters] - Adapter modules keyed by runtime name
+ * @param {Object} [options.resilience] - Overrides RESILIENCE_DEFAULTS ({ circuitBreaker, retry, cache })
+ * @param {boolean} [options.watchEvents] - Invalidate cached reads on runtime events (default $CONTAINER_CACHE_EVENTS)
+ * @param {string} [options.policyFile] - Policy gating every call (default $CONTAINER_POLICY_FILE, see lib/policy.js)
+ * @param {boolean} [options.confirmDestructive] - Hold destructive calls until confirmed (default $CONTAINER_CONFIRM_DESTRUCTIVE)
+ * @returns {Object} Core with `getTools()`, `callTool()` and runtime helpers
+ */
+export function createCore(options = {}) {
+  const adapters = options.adapters || { nerdctl, podman, docker };
+
+  // Track connected adapters
+  const connectedAdapters = new Map();
+
+  // Preferred runtime (can be set via env or tool)
+  let preferredRuntime = Deno.env.get("CONTAINER_RUNTIME") || null;
+  if (preferredRuntime === "auto") preferredRuntime = null;
+
+  // What clients may do at all, re-read when the file changes
+  const policy = createPolicy({ path: options.policyFile ?? Deno.env.get("CONTAINER_POLICY_FILE") });
+
+  // Destructive tools wait for a person's go-ahead (see lib/confirm.js)
+  const confirmDestructive = options.confirmDestructive ?? Deno.env.get("CONTAINER_CONFIRM_DESTRUCTIVE") === "true";
+  const confirmations = new ConfirmationStore();
+
+  // Every runtime command run on the host, and on whose behalf (see lib/audit.js)
+  const audit = new AuditLog({
+    file: options.auditFile ?? Deno.env.get("CONTAINER_AUDIT_FILE"),
+    syslog: options.auditSyslog ?? Deno.env.get("CONTAINER_AUDIT_SYSLOG"),
+  });
+
+  // ==========================================================================
+  // Runtimes
+  // ==========================================================================
+
+  /**
+   * Detect which container runtimes are available
+   */
+  async function detectRuntimes() {
+    const results = {};
+    for (const [name, adapter] of Object.entries(adapters)) {
+      try {
+        const connected = await adapter.isConnected();
+        results[name] = { available: connected, description: adapter.description };
+      } catch {
+        results[name] = { available: false, description: adapter.description };
+      }
+    }
+    return results;
+  }
+
+  async function connectAdapter(name) {
+    if (!connectedAdapters.has(name)) {
+      try {
+        await adapters[name].connect();
+      } catch (err) {
+        // A runtime that does not answer `version` is down (failover moves on)
+        err.code ??= ErrorCode.DAEMON_UNREACHABLE;
+        throw err;
+      }
+      connectedAdapters.set(name, adapters[name]);
+      if (watchEvents) startEventWatcher(name);
+    }
+    return adapters[name];
+  }
+
+  /**
+   * Connect every runtime that is installed
+   *
+   * @returns {Promise<Object>} { connected: [...], failed: [{ name, error }] }
+   */
+  async function connectAvailable() {
+    const results = { connected: [], failed: [] };
+    for (const name of Object.keys(adapters)) {
+      try {
+        await connectAdapter(name);
+        results.connected.push(name);
+      } catch (err) {
+        results.failed.push({ name, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Get the preferred runtime adapter
+   */
+  function getPreferredAdapter() {
+    if (preferredRuntime && adapters[preferredRuntime]) {
+      return adapters[preferredRuntime];
+    }
+    // FOSS-first priority: nerdctl > podman > docker
+    for (const name of ["nerdctl", "podman", "docker"]) {
+      if (connectedAdapters.has(name)) {
+        return adapters[name];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve and connect the adapter for a unified container_* tool call
+   */
+  async function resolveAdapter(runtime) {
+    if (runtime && !adapters[runtime]) {
+      throw new Error(`Unknown runtime: ${runtime}`);
+    }
+
+    const adapter = runtime ? adapters[runtime] : getPreferredAdapter();
+    if (!adapter) {
+      throw new Error(
+        "No container runtime connected. Run container_detect or install nerdctl, podman, or docker",
+      );
+    }
+
+    return await connectAdapter(adapter.name);
+  }
+
+  // ==========================================================================
+  // Resilience
+  // ==========================================================================
+
+  const metrics = new MetricsCollector();
+  const healthChecker = new HealthChecker();
+  const resilience = { ...RESILIENCE_DEFAULTS, ...options.resilience };
+
+  // Also drop cached reads on changes made outside this server
+  const watchEvents = options.watchEvents ?? Deno.env.get("CONTAINER_CACHE_EVENTS") === "true";
+  const eventWatchers = new Map();
+
+  // Runtime name -> ResilientAdapter
+  const resilient = {};
+  for (const [name, adapter] of Object.entries(adapters)) {
+    resilient[name] = new ResilientAdapter(adapter, { ...resilience, metricsCollector: metrics });
+
+    healthChecker.register(name, async () => {
+      if (!connectedAdapters.has(name)) {
+        return { status: "unavailable", message: "Not connected" };
+      }
+      if (!(await adapter.isConnected())) {
+        return { status: "unhealthy", message: `${name} stopped responding` };
+      }
+      const { state } = resilient[name].circuitBreaker.getStatus();
+      return state === "closed"
+        ? { status: "healthy", message: "OK" }
+        : { status: "degraded", message: `Circuit breaker ${state}` };
+    });
+  }
+
+  /**
+   * Follow `<runtime> events` and drop the cached reads each event makes
+   * stale. Best effort: if the runtime cannot stream events, cached reads
+   * still expire by TTL.
+   */
+  function startEventWatcher(name) {
+    const adapter = adapters[name];
+    if (!adapter.streamEvents || eventWatchers.has(name)) return;
+
+    const controller = new AbortController();
+    eventWatchers.set(name, controller);
+    const { cache } = resilient[name];
+
+    adapter
+      .streamEvents({
+        signal: controller.signal,
+        unref: true,
+        onLine: (line, stream) => {
+          if (stream !== "stdout") return;
+          const resource = eventResource(parseEvent(line));
+          if (resource) cache.invalidateTags([resource]);
+        },
+      })
+      .then((result) => {
+        if (result.stoppedBy === "exit") {
+          console.error(`${name} events stopped (exit code ${result.code}); cached reads expire by TTL only`);
+        }
+      })
+      .catch((err) => console.error(`${name} events unavailable: ${err.message}`))
+      .finally(() => eventWatchers.delete(name));
+  }
+
+  /**
+   * Run an adapter tool through its runtime's circuit breaker, retries, cache
+   * and metrics, as far as the tool's declared `effect` allows
+   *
+   * `origin` (the call context's, unless given) says on whose behalf it runs,
+   * for the audit log
+   */
+  async function runTool(adapterName, toolName, requested, call, origin = call?.origin) {
+    const tool = adapters[adapterName].tools[toolName];
+    const { effect = "mutating", cache = true, resources } = tool;
+    const read = effect === "read";
+
+    // Checked again here so container_* tools are held to the rules of the
+    // runtime tool they end up calling, with that tool's defaults
+    const params = policy.enforce(toolName, tool, applyDefaults(tool.params, requested));
+
+    // Changes make the cached reads of what they touch stale (everything
+    // when a tool does not say what it touches)
+    const { cache: runtimeCache } = resilient[adapterName];
+    const invalidate = () => resources ? runtimeCache.invalidateTags(resources) : runtimeCache.invalidate();
+
+    const record = (outcome, jobId) => auditRun(origin, adapterName, toolName, tool, params, outcome, jobId);
+
+    // Background jobs change state after their call returned: invalidate again when they finish
+    const jobFinished = (outcome, job) => {
+      if (!read) invalidate();
+      record(outcome, job.id);
+    };
+
+    let result;
+    try {
+      result = await resilient[adapterName].execute(toolName, params, followJobs(call, jobFinished), {
+        // Only calls that are safe to repeat; a follow that failed midway must
+        // not replay the lines already sent
+        retry: effect !== "mutating" && !params.follow,
+        cacheable: read && cache,
+        tags: resources,
+      });
+    } catch (err) {
+      record(err);
+      throw err;
+    }
+
+    if (!read) invalidate();
+    // Cached answers ran nothing; background jobs are recorded when they finish
+    if (!result.cached && !result.background) record(result);
+    return result;
+  }
+
+  // Let `finished(outcome, job)` know when each background job the call starts ends
+  function followJobs(call, finished) {
+    if (!call?.startJob) return call;
+    return {
+      ...call,
+      startJob: (info, run) =>
+        call.startJob(info, (job) =>
+          run(job).then(
+            (result) => {
+              finished(result, job);
+              return result;
+            },
+            (err) => {
+              finished(err, job);
+              throw err;
+            },
+          )),
+    };
+  }
+
+  /**
+   * Add a runtime tool call to the audit log, with its arguments and output
+   * masked as they are for the client
+   *
+   * @param {Object} [origin] - { session, tool, secrets } of the MCP call it ran for
+   * @param {Object|Error} outcome - The result envelope, or what was thrown instead
+   */
+  function auditRun(origin, runtime, toolName, tool, params, outcome, jobId) {
+    const secrets = [...(origin?.secrets ?? []), ...secretsOf(tool.params, params)];
+    const error = outcome instanceof Error
+      ? { code: outcome.code ?? ErrorCode.COMMAND_FAILED, message: outcome.message }
+      : outcome.error;
+
+    audit.record(redact({
+      session: origin?.session ?? null,
+      tool: toolName,
+      // The tool the client called, when it is not the one that ran
+      ...(origin?.tool && origin.tool !== toolName && { via: origin.tool }),
+      params: redactParams(tool.params, params, secrets),
+      runtime,
+      argv: outcome.argv ?? null,
+      exitCode: outcome.exitCode ?? null,
+      durationMs: outcome.durationMs ?? null,
+      success: outcome.success === true,
+      ...(error && { error: { code: error.code, message: error.message } }),
+      ...(jobId && { jobId }),
+    }, secrets));
+  }
+
+  /**
+   * Runtimes a failover call tries: the chosen one, then every other
+   * connected runtime in FOSS-first order
+   */
+  function failoverOrder(runtime) {
+    if (runtime && !adapters[runtime]) {
+      throw new Error(`Unknown runtime: ${runtime}`);
+    }
+    const first = runtime || getPreferredAdapter()?.name;
+    const rest = ["nerdctl", "podman", "docker"].filter((name) => name !== first && connectedAdapters.has(name));
+    return first ? [first, ...rest] : rest;
+  }
+
+  // Runtime-agnostic container_* tools
+  const unifiedTools = createUnifiedTools(adapters, {
+    resolveAdapter,
+    runTool,
+    failoverOrder,
+    failover: Deno.env.get("CONTAINER_FAILOVER") === "true",
+  });
+
+  // ==========================================================================
+  // Confirmation
+  // ==========================================================================
+
+  /**
+   * What a destructive call would remove, read from the runtime it goes to
+   * (the preferred one for container_* tools)
+   */
+  async function removalPreview(toolName, tool, params, origin) {
+    const runtime = tool.adapter || failoverOrder(params.runtime)[0];
+    if (!runtime) return { error: "no runtime connected" };
+
+    const read = async (action, readParams) => {
+      const result = await runTool(runtime, `${runtime}_${action}`, readParams, undefined, origin);
+      if (!result.success) throw new Error(result.error?.message || `${runtime}_${action} failed`);
+      return result.parsed;
+    };
+    try {
+      return await previewRemoval(read, toolName.slice(toolName.indexOf("_") + 1), params);
+    } catch (err) {
+      return { error: `no preview: ${err.message}` };
+    }
+  }
+
+  /**
+   * Hold a destructive call until a person confirms it: through the client
+   * (MCP elicitation) when it can ask, with a confirmationId otherwise
+   *
+   * @returns {Promise<Object>} The call's arguments, without confirmationId
+   * @throws {ConfirmationError} CONFIRMATION_REQUIRED, or CANCELLED when declined
+   */
+  async function confirmRemoval(toolName, tool, { confirmationId, ...params }, transport, origin) {
+    if (confirmationId !== undefined) {
+      if (!confirmations.redeem(confirmationId, toolName, params, origin.session)) {
+        throw new ValidationError([
+          { field: "confirmationId", message: "is unknown, expired, already used or was issued for another call or caller" },
+        ]);
+      }
+      return params;
+    }
+
+    const preview = await removalPreview(toolName, tool, params, origin);
+    if (transport.elicit) {
+      let answer = null;
+      try {
+        answer = await transport.elicit({ message: describeRemoval(toolName, preview), requestedSchema: CONFIRM_SCHEMA });
+      } catch (err) {
+        // A client that cannot ask after all gets a confirmationId instead
+        if (transport.signal?.aborted) throw err;
+      }
+      if (answer?.action === "accept" && answer.content?.confirm === true) return params;
+      if (answer) {
+        throw new ConfirmationError(ErrorCode.CANCELLED, `${toolName} was not confirmed; nothing was removed`, { preview });
+      }
+    }
+    throw new ConfirmationError(
+      ErrorCode.CONFIRMATION_REQUIRED,
+      `${toolName} removes data: check the preview, then call it again with the same arguments and this confirmationId`,
+      { ...confirmations.issue(toolName, params, origin.session), preview },
+    );
+  }
+
+  // ==========================================================================
+  // Dry Runs
+  // ==========================================================================
+
+  /**
+   * Answer a dryRun call: the commands it would run on the runtime it would
+   * go to and, for removals, what they would remove (see lib/plan.js)
+   */
+  async function planTool(toolName, tool, params, origin) {
+    const runtime = tool.adapter || failoverOrder(params.runtime)[0];
+    const adapter = await resolveAdapter(runtime);
+
+    // Unified tools are planned as the runtime tool they would delegate to
+    let delegateName = toolName;
+    let planParams = params;
+    let ignoredParams = [];
+    if (!tool.adapter) {
+      delegateName = `${adapter.name}_${toolName.replace(/^container_/, "")}`;
+      const delegate = adapter.tools[delegateName];
+      if (!delegate) throw new Error(`${adapter.name} does not support ${toolName}`);
+      const { runtime: _runtime, failover: _failover, ...callParams } = params;
+      ({ forwarded: planParams, ignoredParams } = forwardParams(delegate, callParams));
+      planParams = policy.enforce(delegateName, delegate, applyDefaults(delegate.params, planParams));
+    }
+
+    if (!adapter.cli) throw new Error(`${adapter.name} does not support dry runs`);
+    const { commands } = await planCall(adapter.cli.module, delegateName, planParams);
+    return {
+      success: true,
+      dryRun: true,
+      runtime: adapter.name,
+      tool: delegateName,
+      binary: adapter.cli.binary,
+      binaryPath: resolveBinary(adapter.cli.binary),
+      globalFlags: adapter.cli.globalFlags,
+      commands,
+      ...(ignoredParams.length > 0 && { ignoredParams }),
+      ...(tool.destructive && { affected: await removalPreview(toolName, tool, params, origin) }),
+    };
+  }
+
+  // ==========================================================================
+  // Call Context
+  // ==========================================================================
+
+  // Follow streams in progress (see lib/stream.js), by stream id
+  const streams = new Map();
+
+  // Background build, pull, push and compose up jobs (see lib/jobs.js)
+  const jobs = new JobStore();
+
+  // Under HTTP authorization jobs, streams and audit entries belong to the
+  // token subject whose call started them, and other subjects cannot see
+  // them; without it (stdio, an open HTTP server) there is no subject and
+  // they are shared
+  const subjectOf = (call) => call?.origin?.session?.subject;
+  const visibleTo = (call, owner) => subjectOf(call) === undefined || owner === subjectOf(call);
+
+  /**
+   * Build the context a handler receives alongside its params
+   *
+   * @param {string} toolName
+   * @param {Object} [transport] - What the transport knows about the request
+   * @param {AbortSignal} [transport.signal] - Fires on MCP cancellation
+   * @param {string|number} [transport.progressToken] - From the request's _meta
+   * @param {Function} [transport.sendNotification] - Sends a JSON-RPC notification for this request
+   * @param {Object} [transport.session] - { id, client } of the MCP session, for the audit log
+   * @param {string[][]} [secrets] - Masked in everything the call reports (see lib/redact.js)
+   */
+  function createCallContext(toolName, { signal, progressToken, sendNotification, session } = {}, secrets = []) {
+    const controller = new AbortController();
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener("abort", () => controller.abort(), { once: true });
+    let progress = 0;
+
+    const send = (notification) => {
+      if (!sendNotification) return;
+      // A client that went away must not fail the call
+      Promise.resolve(sendNotification(notification)).catch(() => {});
+    };
+
+    const log = (data) =>
+      send({ method: "notifications/message", params: { level: "info", logger: toolName, data: redact(data, secrets) } });
+
+    return {
+      signal: controller.signal,
+
+      // Who the call runs for, recorded with every command it runs
+      origin: { session: session ?? null, tool: toolName, secrets },
+
+      openStream(info) {
+        const id = crypto.randomUUID();
+        const owner = session?.subject;
+        streams.set(id, { id, tool: toolName, ...info, startedAt: new Date().toISOString(), controller, owner });
+        return id;
+      },
+
+      closeStream(id) {
+        streams.delete(id);
+      },
+
+      // Stream events: progress notifications when the client asked for them, log messages otherwise
+      emit(event) {
+        if (progressToken === undefined) return log(event);
+        send({
+          method: "notifications/progress",
+          params: {
+            progressToken,
+            progress: ++progress,
+            message: redactText(event.line ?? `${event.event} ${event.streamId}`, secrets),
+          },
+        });
+      },
+
+      // Progress of this request, when the client asked for it
+      progress(update) {
+        if (progressToken === undefined) return;
+        send({ method: "notifications/progress", params: { progressToken, ...redact(update, secrets) } });
+      },
+
+      // Background jobs outlive the request, so they report through log messages
+      startJob(info, run) {
+        return jobs.start(toolName, info, run, {
+          onFinish: (job) => log({ jobId: job.id, event: "finished", status: job.status }),
+          redact: (value) => redact(value, secrets),
+          owner: session?.subject,
+        });
+      },
+
+      jobEvent(job, event) {
+        log({ jobId: job.id, ...event });
+      },
+    };
+  }
+
+  // ==========================================================================
+  // Meta Tools
+  // ==========================================================================
+
+  // Another subject's job is as unknown as one that never existed
+  function requireJob(jobId, call) {
+    const job = jobs.get(jobId);
+    if (!job || !visibleTo(call, job.owner)) {
+      throw new ValidationError([{ field: "jobId", message: "does not name a known job" }]);
+    }
+    return job;
+  }
+
+  const metaTools = {
+    container_list: {
+      description: "List all available container runtimes and their connection status",
+      effect: "read",
+      params: {},
+      handler: async () => {
+        const runtimes = await detectRuntimes();
+        const connected = [];
+        const available = [];
+        const unavailable = [];
+
+        for (const [name, info] of Object.entries(runtimes)) {
+          if (connectedAdapters.has(name)) {
+            connected.push({ name, ...info });
+          } else if (info.available) {
+            available.push({ name, ...info });
+          } else {
+            unavailable.push({ name, ...info });
+          }
+        }
+
+        return {
+          preferredRuntime: preferredRuntime || "auto (FOSS-first)",
+          connected,
+          available,
+          unavailable,
+          note: "FOSS runtimes (nerdctl, podman) are preferred over Docker",
+        };
+      },
+    },
+
+    container_detect: {
+      description: "Auto-detect and connect to available container runtimes",
+      effect: "idempotent",
+      params: {},
+      handler: async () => {
+        const results = { connected: [], failed: [], skipped: [] };
+
+        for (const [name, adapter] of Object.entries(adapters)) {
+          if (connectedAdapters.has(name)) {
+            results.skipped.push({ name, reason: "already connected" });
+            continue;
+          }
+
+          try {
+            await connectAdapter(name);
+            results.connected.push({ name, description: adapter.description });
+          } catch (err) {
+            results.failed.push({ name, error: err.message });
+          }
+        }
+
+        return {
+          ...results,
+          totalConnected: connectedAdapters.size,
+          preferredRuntime: preferredRuntime || "auto",
+        };
+      },
+    },
+
+    container_prefer: {
+      description: "Set the preferred container runtime for operations",
+      effect: "idempotent",
+      params: {
+        runtime: {
+          type: "string",
+          enum: [...Object.keys(adapters), "auto"],
+          required: true,
+          description: "Runtime to prefer (auto uses FOSS-first)",
+        },
+      },
+      handler: ({ runtime }) => {
+        if (runtime === "auto") {
+          preferredRuntime = null;
+          return {
+            message: "Preference cleared. Using FOSS-first auto-detection (nerdctl > podman > docker)",
+            current: null,
+          };
+        }
+
+        preferredRuntime = runtime;
+        return {
+          message: `Preferred runtime set to: ${runtime}`,
+          current: runtime,
+          note: runtime === "docker" ? "Consider using nerdctl or podman for FOSS alternatives" : undefined,
+        };
+      },
+    },
+
+    container_help: {
+      description: "Get help for a specific runtime or list all available tools",
+      effect: "read",
+      params: {
+        runtime: {
+          type: "string",
+          enum: [...Object.keys(adapters), "all"],
+          description: "Runtime to get help for",
+        },
+      },
+      handler: ({ runtime }) => {
+        const help = {};
+        const runtimesToShow = runtime && runtime !== "all" ? [runtime] : Object.keys(adapters);
+
+        for (const name of runtimesToShow) {
+          const adapter = adapters[name];
+          help[name] = {
+            description: adapter.description,
+            tools: Object.entries(adapter.tools).map(([toolName, tool]) => ({
+              name: toolName,
+              description: tool.description,
+              params: Object.entries(tool.params).map(([pName, pDef]) => ({
+                name: pName,
+                type: pDef.type ?? pDef.anyOf.map((alt) => alt.type).join(" | "),
+                required: Boolean(pDef.required),
+                default: pDef.default,
+                description: pDef.description,
+              })),
+            })),
+          };
+        }
+
+        if (!runtime || runtime === "all") {
+          help.unified = {
+            description: "Runtime-agnostic tools dispatched to the preferred runtime",
+            tools: Object.entries(unifiedTools).map(([toolName, tool]) => ({
+              name: toolName,
+              description: tool.description,
+            })),
+          };
+        }
+
+        return {
+          ...help,
+          meta: {
+            version: PACKAGE_VERSION,
+            feedback: FEEDBACK_URL,
+            fossPriority: "nerdctl > podman > docker",
+          },
+        };
+      },
+    },
+
+    container_logs_cancel: {
+      description: "Stop log follows and event subscriptions started with follow: true",
+      effect: "idempotent",
+      // Stops only the caller's own, so read scope may stop what it started
+      cancelsOwn: true,
+      params: {
+        streamId: { type: "string", description: "Stream to stop (from its started notification)" },
+        container: { type: "string", format: "name", description: "Stop every follow of this container" },
+      },
+      handler: ({ streamId, container }, call) => {
+        if (!streamId && !container) {
+          throw new ValidationError([{ field: "streamId", message: "or container is required" }]);
+        }
+
+        const own = [...streams.values()].filter((stream) => visibleTo(call, stream.owner));
+        const cancelled = [];
+        for (const stream of own) {
+          if (stream.id === streamId || (container && stream.container === container)) {
+            stream.controller.abort();
+            cancelled.push({ streamId: stream.id, tool: stream.tool, container: stream.container });
+          }
+        }
+
+        return { cancelled, stillFollowing: own.length - cancelled.length };
+      },
+    },
+
+    container_job_status: {
+      description: "Status and progress of background jobs (every job when jobId is omitted)",
+      effect: "read",
+      params: {
+        jobId: { type: "string", description: "Job to report on" },
+      },
+      handler: ({ jobId }, call) => {
+        if (!jobId) {
+          return { jobs: jobs.list().filter((job) => visibleTo(call, job.owner)).map((job) => job.summary()) };
+        }
+        return requireJob(jobId, call).summary();
+      },
+    },
+
+    container_job_output: {
+      description: "Read output lines of a background job",
+      effect: "read",
+      params: {
+        jobId: { type: "string", required: true, description: "Job to read" },
+        offset: { type: "integer", minimum: 0, default: 0, description: "First line to return (nextOffset of the previous read)" },
+        limit: { type: "integer", minimum: 1, maximum: 1000, default: 200, description: "Maximum number of lines" },
+      },
+      handler: ({ jobId, offset, limit }, call) => requireJob(jobId, call).output(offset, limit),
+    },
+
+    container_job_cancel: {
+      description: "Cancel a running background job",
+      effect: "idempotent",
+      cancelsOwn: true,
+      params: {
+        jobId: { type: "string", required: true, description: "Job to cancel" },
+      },
+      handler: ({ jobId }, call) => {
+        const job = requireJob(jobId, call);
+        const running = job.status === "running";
+        jobs.cancel(jobId);
+        return { ...job.summary(), cancelling: running };
+      },
+    },
+
+    container_policy: {
+      description: "Show the policy file in force, its rules and whether the last reload failed",
+      effect: "read",
+      params: {},
+      handler: () => policy.status(),
+    },
+
+    container_audit_query: {
+      description: "Search the audit log of runtime commands the server has run (most recent entries, newest first)",
+      effect: "read",
+      params: {
+        tool: { type: "string", description: "Tool name, * wildcards allowed (e.g. *_rm); matches container_* calls too" },
+        runtime: { type: "string", enum: Object.keys(adapters), description: "Only commands run on this runtime" },
+        session: { type: "string", description: "Only calls from this MCP session" },
+        since: { type: "string", format: "timestamp", description: "Only entries from this time on (ISO 8601)" },
+        failed: { type: "boolean", description: "true for failed commands only, false for successful ones only" },
+        limit: { type: "integer", minimum: 1, maximum: 1000, default: 50, description: "Maximum number of entries" },
+      },
+      handler: (filter, call) => ({ ...audit.query({ ...filter, subject: subjectOf(call) }), log: audit.status() }),
+    },
+
+    container_version: {
+      description: "Get version information for polyglot-container-mcp",
+      effect: "read",
+      params: {},
+      handler: async (_params, call) => {
+        const versions = { [PACKAGE_NAME]: PACKAGE_VERSION };
+
+        for (const [name, adapter] of Object.entries(adapters)) {
+          if (connectedAdapters.has(name) && adapter.tools[`${name}_version`]) {
+            try {
+              // Through runTool, so the version queries are policed, audited and counted like any other
+              const result = await runTool(name, `${name}_version`, {}, call);
+              versions[name] = result.success ? result.parsed : "connected but version unavailable";
+            } catch {
+              versions[name] = "connected but version unavailable";
+            }
+          } else {
+            versions[name] = "not connected";
+          }
+        }
+
+        return versions;
+      },
+    },
+  };
+
+  // ==========================================================================
+  // Registry
+  // ==========================================================================
+
+  // mcp_health_check, mcp_metrics, mcp_circuit_status, ...
+  const diagnosticTools = createDiagnosticTools({
+    healthChecker,
+    metrics,
+    caches: Object.fromEntries(Object.entries(resilient).map(([name, r]) => [name, r.cache])),
+    circuitBreakers: Object.fromEntries(Object.entries(resilient).map(([name, r]) => [name, r.circuitBreaker])),
+  });
+
+  // Tool name -> { description, params, handler, adapter? }
+  const tools = { ...metaTools, ...diagnosticTools, ...unifiedTools };
+  for (const [adapterName, adapter] of Object.entries(adapters)) {
+    for (const [toolName, tool] of Object.entries(adapter.tools)) {
+      tools[toolName] = { ...tool, adapter: adapterName };
+    }
+  }
+  for (const [toolName, tool] of Object.entries(tools)) {
+    const params = { ...tool.params };
+    if ((tool.adapter || unifiedTools[toolName]) && tool.effect !== "read") params.dryRun = dryRunParam;
+    if (confirmDestructive && tool.destructive) params.confirmationId = confirmationIdParam;
+    tools[toolName] = { ...tool, params };
+  }
+
+  /**
+   * List tools in MCP `tools/list` shape
+   */
+  function getTools() {
+    return Object.entries(tools).map(([toolName, tool]) => ({
+      name: toolName,
+      description: tool.description,
+      inputSchema: toJsonSchema(tool.params),
+      annotations: toAnnotations(tool),
+    }));
+  }
+
+  /**
+   * Validate, dispatch and wrap a tool call as an MCP CallToolResult
+   *
+   * @param {string} toolName
+   * @param {Object} [params]
+   * @param {Object} [transport] - Cancellation and notification hooks (see createCallContext), plus
+   *   `elicit(params)` when the client can be asked to confirm (MCP elicitation/create)
+   * @returns {Promise<{ content: Object[], isError: boolean }>}
+   */
+  async function callTool(toolName, params = {}, transport = {}) {
+    const tool = tools[toolName];
+    if (!tool) {
+      throw new Error(`Tool not found: ${toolName}`);
+    }
+
+    // Nothing the call sends back may repeat a secret it was given
+    const secrets = secretsOf(tool.params, params);
+    const context = () => ({ tool: toolName, params: redactParams(tool.params, params, secrets) });
+
+    // Refuse bad arguments before anything is spawned; the tool runs with
+    // the defaults of the params left out filled in
+    const { errors: invalid, values: checked } = validateParams(tool.params, params);
+    if (invalid.length > 0) {
+      return errorResult(new ValidationError(invalid), context(), secrets);
+    }
+
+    if (tool.adapter) {
+      try {
+        await connectAdapter(tool.adapter);
+      } catch (err) {
+        return errorResult(`${tool.adapter} not available: ${err.message}`, {
+          tool: toolName,
+          suggestion: tool.adapter === "docker"
+            ? "Consider using nerdctl or podman instead"
+            : `Ensure ${tool.adapter} is installed and accessible`,
+        });
+      }
+    }
+
+    try {
+      const call = createCallContext(toolName, transport, secrets);
+
+      // Calls the policy refuses are neither planned nor put to a person.
+      // dryRun is the server's own flag, and only on the tools that take it
+      let allowed = policy.enforce(toolName, tool, checked);
+      if (tool.params.dryRun) {
+        const { dryRun, ...rest } = allowed;
+        if (dryRun) {
+          return textResult(redact(await planTool(toolName, tool, rest, call.origin), secrets));
+        }
+        allowed = rest;
+      }
+
+      const confirmed = confirmDestructive && tool.destructive
+        ? await confirmRemoval(toolName, tool, allowed, transport, call.origin)
+        : allowed;
+
+      const result = tool.adapter
+        ? await runTool(tool.adapter, toolName, confirmed, call)
+        : await tool.handler(confirmed, call);
+      return textResult(redact(result, secrets), result?.success === false);
+    } catch (err) {
+      return errorResult(err, context(), secrets);
+    }
+  }
+
+  return {
+    name: PACKAGE_NAME,
+    version: PACKAGE_VERSION,
+    adapters,
+    connectedAdapters,
+    tools,
+    getTools,
+    callTool,
+    detectRuntimes,
+    connectAvailable,
+  };
+}
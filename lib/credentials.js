@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Registry Credentials
+ * Resolves the password for `<runtime>_login` from the tool arguments, an
+ * environment variable or a file, so CI agents never have to put the secret
+ * in a tool call
+ *
+ * A client chooses the registry a password is sent to, so references are
+ * fenced in: environment variables must carry CONTAINER_CREDENTIAL_ENV_PREFIX
+ * (default REGISTRY_) and files must live under CONTAINER_CREDENTIALS_DIR
+ * (file references are refused while it is unset). Errors name the
+ * reference, never the secret, and a resolved password is masked in all
+ * later output (see lib/redact.js).
+ */
+
+import { ArgumentError } from "./argv.js";
+import { rememberSecret } from "./redact.js";
+import { ValidationError } from "./validate.js";
+
+const ENV_PREFIX = Deno.env.get("CONTAINER_CREDENTIAL_ENV_PREFIX") || "REGISTRY_";
+const CREDENTIALS_DIR = Deno.env.get("CONTAINER_CREDENTIALS_DIR") || "";
+
+async function readPasswordFile(path) {
+  if (!CREDENTIALS_DIR) {
+    throw new ArgumentError("passwordFile", path, "file references are disabled (set CONTAINER_CREDENTIALS_DIR)");
+  }
+
+  let resolved;
+  try {
+    // Resolves symlinks, so a link inside the directory cannot point outside it
+    const [dir, file] = await Promise.all([Deno.realPath(CREDENTIALS_DIR), Deno.realPath(path)]);
+    if (!file.startsWith(`${dir}/`)) {
+      throw new ArgumentError("passwordFile", path, `is not under ${CREDENTIALS_DIR}`);
+    }
+    resolved = file;
+  } catch (err) {
+    if (err instanceof ArgumentError) throw err;
+    throw new ArgumentError("passwordFile", path, "cannot be read");
+  }
+  return (await Deno.readTextFile(resolved)).replace(/\r?\n$/, "");
+}
+
+function readPasswordEnv(name) {
+  if (!name.startsWith(ENV_PREFIX)) {
+    throw new ArgumentError("passwordEnv", name, `must start with ${ENV_PREFIX}`);
+  }
+  const value = Deno.env.get(name);
+  if (!value) {
+    throw new ArgumentError("passwordEnv", name, "is not set on the server");
+  }
+  return value;
+}
+
+/**
+ * The password for a login, from whichever source was given
+ *
+ * @param {{ password?: string, passwordEnv?: string, passwordFile?: string }} params
+ * @returns {Promise<{ password: string, source: "password" | "passwordEnv" | "passwordFile" }>}
+ */
+export async function resolvePassword({ password, passwordEnv, passwordFile }) {
+  const given = Object.entries({ password, passwordEnv, passwordFile }).filter(([, value]) => value !== undefined);
+  if (given.length !== 1) {
+    throw new ValidationError([{ field: "password", message: "or passwordEnv or passwordFile is required (exactly one)" }]);
+  }
+
+  const [[source]] = given;
+  if (source !== "password") {
+    const resolved = source === "passwordEnv" ? readPasswordEnv(passwordEnv) : await readPasswordFile(passwordFile);
+    rememberSecret(resolved);
+    return { password: resolved, source };
+  }
+  if (password === "") {
+    throw new ValidationError([{ field: "password", message: "must not be empty" }]);
+  }
+  return { password, source };
+}
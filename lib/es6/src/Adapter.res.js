@@ -9,24 +9,15 @@ function makeParam(type_, description) {
 }
 
 function stringParam(description) {
-  return {
-    type: "string",
-    description: description
-  };
+  return makeParam("string", description);
 }
 
 function numberParam(description) {
-  return {
-    type: "number",
-    description: description
-  };
+  return makeParam("number", description);
 }
 
 function boolParam(description) {
-  return {
-    type: "boolean",
-    description: description
-  };
+  return makeParam("boolean", description);
 }
 
 export {
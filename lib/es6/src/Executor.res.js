@@ -58,8 +58,10 @@ function getBinary(runtime) {
   }
 }
 
-function sanitizeArg(arg) {
-  return arg.replace(/[;&|`$(){}\\[\\]<>]/g, "").trim();
+let nulByte = String.fromCharCode(0);
+
+function validateArg(arg) {
+  return !arg.includes(nulByte);
 }
 
 function validateCommand(subcommand) {
@@ -84,9 +86,18 @@ async function exec(runtime, subcommand, args) {
       }
     };
   }
+  let arg = args.find(arg => arg.includes(nulByte));
+  if (arg !== undefined) {
+    return {
+      TAG: "Error",
+      _0: {
+        TAG: "ArgumentRefused",
+        _0: arg
+      }
+    };
+  }
   let binary = getBinary(runtime);
-  let sanitizedArgs = args.map(sanitizeArg);
-  let fullArgs = [subcommand].concat(sanitizedArgs);
+  let fullArgs = [subcommand].concat(args);
   try {
     let result = await DenoResJs.executeCommand(binary, fullArgs);
     return {
@@ -164,7 +175,8 @@ async function getPreferredRuntime() {
 export {
   allowedCommands,
   getBinary,
-  sanitizeArg,
+  nulByte,
+  validateArg,
   validateCommand,
   checkBinaryExists,
   executeCommand,
@@ -173,4 +185,4 @@ export {
   detectRuntimes,
   getPreferredRuntime,
 }
-/* ./bindings/Deno.res.js Not a pure module */
+/* nulByte Not a pure module */
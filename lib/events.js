@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Runtime Events
+ * Reads the JSON lines printed by `<runtime> events --format '{{json .}}'`
+ *
+ * Every runtime's events are normalised (see normalizeEvent in
+ * lib/normalize.js) before they are filtered, so filters behave the same on
+ * nerdctl, podman and docker.
+ */
+
+import { normalizeEvent } from "./normalize.js";
+
+// Pushed by `follow: true` when no actions are given: what an agent reacts to
+export const LIFECYCLE_ACTIONS = ["start", "die", "oom", "health_status"];
+
+// Event type -> cache resource (see lib/core.js)
+const RESOURCES = {
+  container: "containers",
+  image: "images",
+  network: "networks",
+  volume: "volumes",
+};
+
+/**
+ * Parse one line of event output (null when it is not a JSON object)
+ */
+export function parseEvent(line) {
+  try {
+    const event = JSON.parse(line);
+    return event && typeof event === "object" ? event : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The resource a parsed event changed: containers, images, networks, volumes
+ * or null when it is about something else
+ */
+export function eventResource(event) {
+  return event ? RESOURCES[normalizeEvent(event).type] ?? null : null;
+}
+
+/**
+ * Build a predicate over normalised events
+ *
+ * @param {Object} filters
+ * @param {string} [filters.container] - ID prefix or name
+ * @param {string} [filters.image] - Reference, with or without tag
+ * @param {string} [filters.type] - container, image, network, volume
+ * @param {string[]} [filters.actions] - e.g. ["die", "oom"]
+ * @returns {(event: Object) => boolean}
+ */
+export function eventFilter({ container, image, type, actions } = {}) {
+  return (event) =>
+    (!container || event.name === container || Boolean(event.id?.startsWith(container))) &&
+    (!image || event.image === image || Boolean(event.image?.startsWith(`${image}:`))) &&
+    (!type || event.type === type) &&
+    (!actions || actions.includes(event.action));
+}
+
+/**
+ * Normalise and filter the events in `events` output, keeping the most
+ * recent `limit`
+ */
+export function collectEvents(stdout, match, { limit = 200, raw = false } = {}) {
+  const events = stdout
+    .split("\n")
+    .map(parseEvent)
+    .filter(Boolean)
+    .map((event) => normalizeEvent(event, { raw }))
+    .filter(match);
+  return {
+    events: events.slice(-limit),
+    truncated: events.length > limit ? events.length - limit : undefined,
+  };
+}
+
+/**
+ * Build followStream's notification payload for an events line: the
+ * normalised event plus a one-line summary (null when filtered out)
+ */
+export function eventEntry(match, { raw = false } = {}) {
+  return (line, stream) => {
+    const parsed = stream === "stdout" ? parseEvent(line) : null;
+    if (!parsed) return null;
+    const event = normalizeEvent(parsed, { raw });
+    if (!match(event)) return null;
+
+    const subject = event.name || event.id?.slice(0, 12) || event.image || "";
+    const detail = event.status ?? (event.action === "die" ? `exit ${event.exitCode}` : null);
+    return {
+      line: `${event.type} ${subject} ${event.action}${detail ? ` (${detail})` : ""}`,
+      runtimeEvent: event,
+    };
+  };
+}
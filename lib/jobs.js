@@ -0,0 +1,241 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Background Jobs
+ * Long-running operations (build, pull, push, compose up) that outlive the
+ * tool call that started them
+ *
+ * A job keeps its output lines (the most recent MAX_OUTPUT_LINES of them),
+ * its latest progress update and, once finished, the tool's result
+ * envelope. Finished jobs are kept for JOB_TTL_MS so their output can still
+ * be read.
+ */
+
+import { createProgressParser } from "./progress.js";
+import { ErrorCode } from "./result.js";
+
+const MAX_OUTPUT_LINES = 5000;
+const MAX_JOBS = 100;
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// ============================================================================
+// Job
+// ============================================================================
+
+export class Job {
+  /**
+   * @param {string} tool
+   * @param {Object} [info]
+   * @param {(value: *) => *} [redact] - Masks secrets in what the job reports (see lib/redact.js)
+   * @param {string} [owner] - Subject of the token that started it, under HTTP authorization
+   */
+  constructor(tool, info = {}, redact = (value) => value, owner = undefined) {
+    this.id = crypto.randomUUID();
+    this.tool = tool;
+    this.info = info;
+    this.redact = redact;
+    this.owner = owner;
+    this.status = "running"; // running, succeeded, failed, cancelled
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+    this.progress = null;
+    this.lines = [];
+    this.droppedLines = 0;
+    this.result = null;
+    this.error = null;
+    this.controller = new AbortController();
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  append(line) {
+    this.lines.push(line);
+    if (this.lines.length > MAX_OUTPUT_LINES) {
+      this.lines.shift();
+      this.droppedLines++;
+    }
+  }
+
+  finish(result) {
+    this.result = result;
+    this.status = this.signal.aborted ? "cancelled" : result.success === false ? "failed" : "succeeded";
+    this.finishedAt = Date.now();
+  }
+
+  fail(error) {
+    this.error = { code: error.code, message: error.message };
+    this.status = this.signal.aborted ? "cancelled" : "failed";
+    this.finishedAt = Date.now();
+  }
+
+  /**
+   * Public view, without the output lines (see output())
+   */
+  summary() {
+    const { stdout: _stdout, ...result } = this.result ?? {};
+    return this.redact({
+      jobId: this.id,
+      tool: this.tool,
+      ...this.info,
+      status: this.status,
+      progress: this.progress,
+      startedAt: new Date(this.startedAt).toISOString(),
+      finishedAt: this.finishedAt ? new Date(this.finishedAt).toISOString() : undefined,
+      durationMs: (this.finishedAt ?? Date.now()) - this.startedAt,
+      outputLines: this.droppedLines + this.lines.length,
+      // stdout is served line by line by container_job_output
+      result: this.result ? result : undefined,
+      error: this.error ?? undefined,
+    });
+  }
+
+  /**
+   * Output lines from `offset` (counted from the first line ever written)
+   */
+  output(offset = 0, limit = 200) {
+    const start = Math.max(offset, this.droppedLines);
+    const lines = this.lines.slice(start - this.droppedLines, start - this.droppedLines + limit);
+    const nextOffset = start + lines.length;
+    return {
+      jobId: this.id,
+      status: this.status,
+      offset: start,
+      lines: this.redact(lines),
+      nextOffset,
+      more: nextOffset < this.droppedLines + this.lines.length,
+      // Lines before this offset were discarded to bound memory
+      droppedLines: this.droppedLines > 0 ? this.droppedLines : undefined,
+    };
+  }
+}
+
+// ============================================================================
+// Job Store
+// ============================================================================
+
+export class JobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a job
+   *
+   * @param {string} tool - Tool that started it
+   * @param {Object} info - Describes the job, e.g. { image }
+   * @param {(job: Job) => Promise<Object>} run - Resolves to the tool's result envelope
+   * @param {Object} [options]
+   * @param {(job: Job) => void} [options.onFinish] - Called once the job has a final status
+   * @param {(value: *) => *} [options.redact] - Masks secrets in the job's summary and output
+   * @param {string} [options.owner] - Subject of the token that started it
+   * @returns {Job}
+   */
+  start(tool, info, run, { onFinish, redact, owner } = {}) {
+    this.cleanup();
+    const job = new Job(tool, info, redact, owner);
+    this.jobs.set(job.id, job);
+    Promise.resolve()
+      .then(() => run(job))
+      .then((result) => job.finish(result), (error) => job.fail(error))
+      .then(() => onFinish?.(job));
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job?.status === "running") job.controller.abort();
+    return job;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) this.jobs.delete(id);
+    }
+    // Oldest finished jobs go first when there are too many
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size < MAX_JOBS) break;
+      if (job.finishedAt) this.jobs.delete(id);
+    }
+  }
+}
+
+// ============================================================================
+// Operations
+// ============================================================================
+
+/**
+ * Run a long operation on behalf of a tool call
+ *
+ * In the foreground, progress parsed from the output is sent as progress
+ * notifications and the call returns the finished result envelope. With
+ * `background` the call returns a job ticket at once and the job carries on
+ * (see container_job_status, container_job_output, container_job_cancel).
+ *
+ * @param {Object} call - Call context from lib/core.js
+ * @param {Object} operation
+ * @param {"pull" | "push" | "build" | "compose"} operation.kind - Selects the progress parser
+ * @param {boolean} [operation.background]
+ * @param {Object} [operation.info] - Describes the job, e.g. { image }
+ * @param {(options: Object) => Promise<Object>} run - Starts streamLines() with the given options
+ * @param {(result: Object) => Object} finish - Wraps the ExecResult in the tool's envelope
+ */
+export async function runOperation(call, { kind, background = false, info = {} }, run, finish) {
+  const parse = createProgressParser(kind);
+  const complete = (result) => {
+    const envelope = finish(result);
+    if (result.stoppedBy === "cancelled") {
+      envelope.error = { code: ErrorCode.CANCELLED, message: "Cancelled before the command finished" };
+    }
+    return envelope;
+  };
+
+  if (!background) {
+    const result = await run({
+      signal: call?.signal,
+      collect: true,
+      onLine: (line) => {
+        const update = parse(line);
+        if (update) call?.progress(update);
+      },
+    });
+    return complete(result);
+  }
+
+  if (!call?.startJob) {
+    throw new Error("background needs a server with a job store");
+  }
+
+  const started = call.startJob(info, (job) =>
+    run({
+      signal: job.signal,
+      collect: true,
+      onLine: (line) => {
+        job.append(line);
+        const update = parse(line);
+        if (update) {
+          job.progress = update;
+          call.jobEvent(job, { event: "progress", ...update });
+        }
+      },
+    }).then(complete)
+  );
+
+  return {
+    success: true,
+    background: true,
+    ...started.summary(),
+    note: "Poll container_job_status, read container_job_output, stop with container_job_cancel",
+  };
+}
@@ -0,0 +1,530 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Output Normalisation
+ * Maps nerdctl, podman and docker JSON output onto one schema
+ *
+ * Each runtime spells the same data differently (`ID` vs `Id`, `Names` as a
+ * comma-separated string vs an array, ports as text vs objects, timestamps
+ * as Go time strings vs unix seconds). These functions accept whatever
+ * `parseJsonOutput` produced for list and inspect commands and return plain
+ * objects with stable field names. Pass `{ raw: true }` to keep the original
+ * payload on each entry under `raw`. `top`, `port` and `diff` only print
+ * text, so their parsers take stdout instead.
+ *
+ * @typedef {Object} Port
+ * @property {string|null} hostIp - Host address, null when not published
+ * @property {number|null} hostPort - Host port, null when not published
+ * @property {number} containerPort - Port inside the container
+ * @property {string} protocol - tcp, udp or sctp
+ *
+ * @typedef {Object} Container
+ * @property {string} id
+ * @property {string[]} names
+ * @property {string|null} image
+ * @property {string|null} state - created, running, paused, restarting, exited, dead
+ * @property {string|null} status - Human-readable status as reported by the runtime
+ * @property {Port[]} ports
+ * @property {Object<string, string>} labels
+ * @property {string|null} createdAt - ISO 8601
+ *
+ * @typedef {Object} Image
+ * @property {string} id
+ * @property {string[]} names - repository:tag references
+ * @property {string|null} repository
+ * @property {string|null} tag
+ * @property {string|null} digest
+ * @property {number|null} size - Bytes
+ * @property {Object<string, string>} labels
+ * @property {string|null} createdAt - ISO 8601
+ *
+ * @typedef {Object} Network
+ * @property {string|null} id
+ * @property {string} name
+ * @property {string|null} driver
+ * @property {string|null} scope
+ * @property {Object<string, string>} labels
+ * @property {string|null} createdAt - ISO 8601
+ *
+ * @typedef {Object} Volume
+ * @property {string} name
+ * @property {string|null} driver
+ * @property {string|null} mountpoint
+ * @property {string|null} scope
+ * @property {Object<string, string>} labels
+ * @property {string|null} createdAt - ISO 8601
+ *
+ * @typedef {Object} Event
+ * @property {string|null} time - ISO 8601
+ * @property {string|null} type - container, image, network, volume, ...
+ * @property {string|null} action - docker's names: create, start, die, oom, health_status, destroy, ...
+ * @property {string|null} id - ID of the object the event is about
+ * @property {string|null} name - Container name, when known
+ * @property {string|null} image
+ * @property {number|null} exitCode - For die events
+ * @property {string|null} status - Health status for health_status events
+ * @property {Object<string, string>} attributes
+ *
+ * @typedef {Object} Process - One `top` row: pid and ppid as numbers, plus user,
+ *   cpu, started, elapsed, tty, time and command where the runtime reports them.
+ *   Other columns keep the runtime's title, lowercased.
+ *
+ * @typedef {Object} FileChanges
+ * @property {string[]} added
+ * @property {string[]} changed
+ * @property {string[]} deleted
+ *
+ * @typedef {Object} Layer
+ * @property {string|null} id - null for layers built elsewhere (`<missing>`)
+ * @property {string|null} createdAt - ISO 8601
+ * @property {string|null} createdBy - Instruction that made the layer
+ * @property {number|null} size - Bytes
+ * @property {string|null} comment
+ */
+
+const CONTAINER_STATES = ["created", "running", "paused", "restarting", "removing", "exited", "dead"];
+
+const SIZE_UNITS = { b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4 };
+
+// ============================================================================
+// Field Helpers
+// ============================================================================
+
+// First defined value among several spellings of a field
+function pick(item, ...keys) {
+  for (const key of keys) {
+    const value = key.split(".").reduce((obj, part) => (obj == null ? undefined : obj[part]), item);
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return undefined;
+}
+
+// Flatten parseJsonOutput results (single object, array, NDJSON list) into a list
+function toList(parsed) {
+  if (parsed == null) return [];
+  if (Array.isArray(parsed)) return parsed.flat();
+  if (typeof parsed === "object" && "raw" in parsed && Object.keys(parsed).length === 1) {
+    try {
+      return toList(JSON.parse(parsed.raw));
+    } catch {
+      return [];
+    }
+  }
+  return [parsed];
+}
+
+function toIsoTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") {
+    // Unix seconds (podman) vs milliseconds
+    return new Date(value < 1e12 ? value * 1000 : value).toISOString();
+  }
+  // Go time format: "2025-01-01 10:00:00.123456789 +0000 UTC"
+  const goTime = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d+)? ([+-]\d{2})(\d{2})/.exec(value);
+  const text = goTime
+    ? `${goTime[1]}T${goTime[2]}${(goTime[3] || "").slice(0, 4)}${goTime[4]}:${goTime[5]}`
+    // Nanosecond fractions (podman, containerd) are more than Date parses
+    : String(value).replace(/(\.\d{3})\d+/, "$1");
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime()) || date.getFullYear() <= 1) return null;
+  return date.toISOString();
+}
+
+function toLabels(value) {
+  if (!value) return {};
+  if (typeof value === "object") return { ...value };
+  const labels = {};
+  for (const pair of String(value).split(",")) {
+    if (!pair) continue;
+    const index = pair.indexOf("=");
+    if (index === -1) labels[pair] = "";
+    else labels[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+  return labels;
+}
+
+function toNames(value) {
+  if (!value) return [];
+  const names = Array.isArray(value) ? value : String(value).split(",");
+  return names.map((n) => String(n).trim().replace(/^\//, "")).filter(Boolean);
+}
+
+function toSize(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value;
+  const match = /^([\d.]+)\s*([a-z]*)$/i.exec(String(value).trim());
+  if (!match) return null;
+  const unit = SIZE_UNITS[(match[2] || "b").toLowerCase()];
+  return unit ? Math.round(parseFloat(match[1]) * unit) : null;
+}
+
+function toStateFromStatus(status) {
+  if (!status) return null;
+  const text = String(status).toLowerCase();
+  if (text.startsWith("up")) return text.includes("paused") ? "paused" : "running";
+  return CONTAINER_STATES.find((state) => text.startsWith(state)) || null;
+}
+
+// ============================================================================
+// Ports
+// ============================================================================
+
+function expandRange(range) {
+  const [start, end] = String(range).split("-").map(Number);
+  if (!end) return [start];
+  const ports = [];
+  for (let port = start; port <= end; port++) ports.push(port);
+  return ports;
+}
+
+// "0.0.0.0:8080->80/tcp, :::8443-8444->443-444/tcp, 9000/udp"
+function parsePortString(text) {
+  const ports = [];
+  for (const entry of String(text).split(",").map((e) => e.trim()).filter(Boolean)) {
+    const match = /^(?:(.*):([\d-]+)->)?([\d-]+)(?:\/(\w+))?$/.exec(entry);
+    if (!match) continue;
+    const [, hostIp, hostRange, containerRange, protocol = "tcp"] = match;
+    const containerPorts = expandRange(containerRange);
+    const hostPorts = hostRange ? expandRange(hostRange) : [];
+    containerPorts.forEach((containerPort, i) => {
+      ports.push({
+        hostIp: hostIp === undefined ? null : hostIp || "::",
+        hostPort: hostPorts[i] ?? null,
+        containerPort,
+        protocol,
+      });
+    });
+  }
+  return ports;
+}
+
+function toPorts(value) {
+  if (!value) return [];
+  if (typeof value === "string") return parsePortString(value);
+
+  // podman ps: [{ host_ip, container_port, host_port, range, protocol }]
+  if (Array.isArray(value)) {
+    const ports = [];
+    for (const p of value) {
+      const count = p.range || 1;
+      const hostPort = p.host_port ?? p.hostPort ?? p.PublicPort;
+      const containerPort = Number(p.container_port ?? p.containerPort ?? p.PrivatePort);
+      for (let i = 0; i < count; i++) {
+        ports.push({
+          // An empty host address means every interface
+          hostIp: p.host_ip || p.hostIP || p.IP || (hostPort ? "0.0.0.0" : null),
+          hostPort: hostPort ? Number(hostPort) + i : null,
+          containerPort: containerPort + i,
+          protocol: p.protocol ?? p.Type ?? "tcp",
+        });
+      }
+    }
+    return ports;
+  }
+
+  // inspect: { "80/tcp": [{ HostIp, HostPort }] | null }
+  const ports = [];
+  for (const [key, bindings] of Object.entries(value)) {
+    const [containerPort, protocol = "tcp"] = key.split("/");
+    if (!bindings || bindings.length === 0) {
+      ports.push({ hostIp: null, hostPort: null, containerPort: Number(containerPort), protocol });
+      continue;
+    }
+    for (const binding of bindings) {
+      ports.push({
+        hostIp: binding.HostIp || null,
+        hostPort: binding.HostPort ? Number(binding.HostPort) : null,
+        containerPort: Number(containerPort),
+        protocol,
+      });
+    }
+  }
+  return ports;
+}
+
+// ============================================================================
+// Normalisers
+// ============================================================================
+
+function withRaw(entry, item, options) {
+  return options.raw ? { ...entry, raw: item } : entry;
+}
+
+/**
+ * Normalise one container from `ps` or `inspect` output
+ */
+export function normalizeContainer(item, options = {}) {
+  const inspectState = typeof item.State === "object" ? item.State : null;
+  const status = inspectState
+    ? inspectState.Status + (inspectState.Status === "exited" ? ` (${inspectState.ExitCode})` : "")
+    : pick(item, "Status");
+  const state = inspectState
+    ? inspectState.Status
+    : (pick(item, "State") || toStateFromStatus(status) || "").toLowerCase() || null;
+
+  return withRaw({
+    id: pick(item, "ID", "Id", "id") || "",
+    names: toNames(pick(item, "Names", "Name", "names")),
+    image: pick(item, "Image", "ImageName", "Config.Image") || null,
+    state,
+    status: status || null,
+    ports: toPorts(pick(item, "NetworkSettings.Ports", "Ports", "ports")),
+    labels: toLabels(pick(item, "Config.Labels", "Labels", "labels")),
+    createdAt: toIsoTime(pick(item, "Created", "CreatedAt")),
+  }, item, options);
+}
+
+/**
+ * Normalise one image from `images` or `inspect` output
+ */
+export function normalizeImage(item, options = {}) {
+  const repository = pick(item, "Repository");
+  const tag = pick(item, "Tag");
+  const names = toNames(pick(item, "RepoTags", "Names", "names"));
+  if (names.length === 0 && repository && repository !== "<none>") {
+    names.push(tag && tag !== "<none>" ? `${repository}:${tag}` : repository);
+  }
+
+  const [firstName] = names;
+  const separator = firstName ? firstName.lastIndexOf(":") : -1;
+  const hasTag = separator > firstName?.lastIndexOf("/");
+
+  return withRaw({
+    id: pick(item, "ID", "Id", "id") || "",
+    names,
+    repository: repository && repository !== "<none>"
+      ? repository
+      : firstName ? (hasTag ? firstName.slice(0, separator) : firstName) : null,
+    tag: tag && tag !== "<none>" ? tag : firstName && hasTag ? firstName.slice(separator + 1) : null,
+    digest: pick(item, "Digest", "RepoDigests.0") || null,
+    size: toSize(pick(item, "Size", "size")),
+    labels: toLabels(pick(item, "Config.Labels", "Labels", "labels")),
+    createdAt: toIsoTime(pick(item, "Created", "CreatedAt", "created")),
+  }, item, options);
+}
+
+/**
+ * Normalise one network from `network ls` or `network inspect` output
+ */
+export function normalizeNetwork(item, options = {}) {
+  return withRaw({
+    id: pick(item, "ID", "Id", "id") || null,
+    name: pick(item, "Name", "name") || "",
+    driver: pick(item, "Driver", "driver") || null,
+    scope: pick(item, "Scope", "scope") || null,
+    labels: toLabels(pick(item, "Labels", "labels")),
+    createdAt: toIsoTime(pick(item, "Created", "CreatedAt", "created")),
+  }, item, options);
+}
+
+/**
+ * Normalise one volume from `volume ls` or `volume inspect` output
+ */
+export function normalizeVolume(item, options = {}) {
+  return withRaw({
+    name: pick(item, "Name", "name") || "",
+    driver: pick(item, "Driver", "driver") || null,
+    mountpoint: pick(item, "Mountpoint", "mountpoint") || null,
+    scope: pick(item, "Scope", "scope") || null,
+    labels: toLabels(pick(item, "Labels", "labels")),
+    createdAt: toIsoTime(pick(item, "CreatedAt", "Created", "created")),
+  }, item, options);
+}
+
+export function normalizeContainers(parsed, options = {}) {
+  return toList(parsed).map((item) => normalizeContainer(item, options));
+}
+
+export function normalizeImages(parsed, options = {}) {
+  return toList(parsed).map((item) => normalizeImage(item, options));
+}
+
+export function normalizeNetworks(parsed, options = {}) {
+  return toList(parsed).map((item) => normalizeNetwork(item, options));
+}
+
+export function normalizeVolumes(parsed, options = {}) {
+  return toList(parsed).map((item) => normalizeVolume(item, options));
+}
+
+// containerd topics whose action docker and podman name differently
+const TOPIC_ACTIONS = {
+  "/containers/delete": "destroy",
+  "/tasks/exit": "die",
+  "/tasks/paused": "pause",
+  "/tasks/resumed": "unpause",
+};
+
+// podman spellings of docker's action names
+const ACTION_ALIASES = { died: "die" };
+
+/**
+ * Normalise one event from `events --format '{{json .}}'`
+ *
+ * nerdctl passes containerd events through: a topic such as `/tasks/exit`
+ * names the change and `Event` holds its payload as a JSON string.
+ */
+export function normalizeEvent(item, options = {}) {
+  let type = String(pick(item, "Type", "type") || "").toLowerCase() || null;
+  let action = pick(item, "Action", "Status", "status") || null;
+  let details = pick(item, "Event") || {};
+  if (typeof details === "string") {
+    try {
+      details = JSON.parse(details);
+    } catch {
+      details = {};
+    }
+  }
+
+  const topic = pick(item, "Topic");
+  if (topic) {
+    const [, group = "", name = null] = topic.split("/");
+    type = group === "tasks" ? "container" : group.replace(/s$/, "") || null;
+    action = TOPIC_ACTIONS[topic] || name;
+  }
+
+  // docker reports "health_status: healthy", "exec_start: sh -c ..."
+  let detail = null;
+  if (action && action.includes(":")) {
+    [action, detail] = [action.slice(0, action.indexOf(":")), action.slice(action.indexOf(":") + 1).trim()];
+  }
+
+  action = ACTION_ALIASES[action] || action;
+
+  const nanos = pick(item, "timeNano");
+  const exitCode = pick(item, "Actor.Attributes.exitCode", "ContainerExitCode") ?? details.exit_status;
+  const image = type === "image"
+    ? pick(item, "Actor.ID", "Name", "ID") || details.name
+    : pick(item, "Actor.Attributes.image", "Image", "from");
+
+  return withRaw({
+    time: toIsoTime(nanos ? Math.floor(nanos / 1e6) : pick(item, "time", "Time", "Timestamp")),
+    type,
+    action,
+    id: pick(item, "Actor.ID", "ID", "id") || details.container_id || details.id || null,
+    name: (type === "container" && pick(item, "Actor.Attributes.name", "Name")) || null,
+    image: image || null,
+    // containerd leaves out a zero exit status
+    exitCode: exitCode !== undefined ? Number(exitCode) : action === "die" ? 0 : null,
+    status: (action === "health_status" && (detail || pick(item, "HealthStatus"))) || null,
+    attributes: toLabels(pick(item, "Actor.Attributes", "Attributes")),
+  }, item, options);
+}
+
+/**
+ * Normalise `inspect` output, which may mix containers and images.
+ * Each entry gets a `kind` of "container" or "image".
+ */
+export function normalizeInspect(parsed, options = {}) {
+  return toList(parsed).map((item) => {
+    return typeof item.State === "object"
+      ? { kind: "container", ...normalizeContainer(item, options) }
+      : { kind: "image", ...normalizeImage(item, options) };
+  });
+}
+
+/**
+ * Normalise one layer from `history --format json`
+ */
+export function normalizeLayer(item, options = {}) {
+  const id = pick(item, "ID", "Id", "id", "Snapshot");
+  return withRaw({
+    id: id && id !== "<missing>" ? id : null,
+    createdAt: toIsoTime(pick(item, "CreatedAt", "Created", "created")),
+    createdBy: pick(item, "CreatedBy", "createdBy") || null,
+    size: toSize(pick(item, "Size", "size")),
+    comment: pick(item, "Comment", "comment") || null,
+  }, item, options);
+}
+
+export function normalizeHistory(parsed, options = {}) {
+  return toList(parsed).map((item) => normalizeLayer(item, options));
+}
+
+// ============================================================================
+// Text Output
+// ============================================================================
+
+// `top` titles (docker/nerdctl ps -ef, podman descriptors) that mean the same thing
+const PROCESS_COLUMNS = {
+  UID: "user",
+  USER: "user",
+  PID: "pid",
+  PPID: "ppid",
+  C: "cpu",
+  "%CPU": "cpu",
+  STIME: "started",
+  ELAPSED: "elapsed",
+  TTY: "tty",
+  TIME: "time",
+  CMD: "command",
+  COMMAND: "command",
+};
+
+/**
+ * Parse `top` output, a header line and one whitespace-separated row per
+ * process. Only the last column (the command) may contain spaces.
+ *
+ * @returns {Process[]}
+ */
+export function normalizeProcesses(stdout) {
+  const [header, ...rows] = stdout.split("\n").filter((line) => line.trim());
+  if (!header) return [];
+
+  const keys = header.trim().split(/\s+/).map((title) =>
+    PROCESS_COLUMNS[title.toUpperCase()] || title.toLowerCase().replace(/[^a-z0-9]+/g, "")
+  );
+  return rows.map((row) => {
+    const fields = row.trim().split(/\s+/);
+    const values = [...fields.slice(0, keys.length - 1), fields.slice(keys.length - 1).join(" ")];
+    const process = Object.fromEntries(keys.map((key, i) => [key, values[i] ?? ""]));
+    for (const key of ["pid", "ppid"]) {
+      if (key in process) process[key] = Number(process[key]);
+    }
+    return process;
+  });
+}
+
+/**
+ * Parse `port` output: "80/tcp -> 0.0.0.0:8080", "80/tcp -> [::]:8080"
+ *
+ * @param {string} stdout
+ * @param {Object} [filter]
+ * @param {number} [filter.port] - Only this container port
+ * @param {string} [filter.protocol] - Only this protocol
+ * @returns {Port[]}
+ */
+export function normalizePortMappings(stdout, { port, protocol: onlyProtocol } = {}) {
+  const ports = [];
+  for (const line of stdout.split("\n")) {
+    const match = /^(\d+)\/(\w+)\s*->\s*(.*):(\d+)$/.exec(line.trim());
+    if (!match) continue;
+    const [, containerPort, protocol, hostIp, hostPort] = match;
+    if (port && Number(containerPort) !== port) continue;
+    if (onlyProtocol && protocol !== onlyProtocol) continue;
+    ports.push({
+      hostIp: hostIp.replace(/^\[(.*)\]$/, "$1") || null,
+      hostPort: Number(hostPort),
+      containerPort: Number(containerPort),
+      protocol,
+    });
+  }
+  return ports;
+}
+
+const CHANGE_KINDS = { A: "added", C: "changed", D: "deleted" };
+
+/**
+ * Parse `diff` output: one "A /path", "C /path" or "D /path" per line
+ *
+ * @returns {FileChanges}
+ */
+export function normalizeDiff(stdout) {
+  const changes = { added: [], changed: [], deleted: [] };
+  for (const line of stdout.split("\n")) {
+    const match = /^([ACD])\s+(.+)$/.exec(line.trim());
+    if (match) changes[CHANGE_KINDS[match[1]]].push(match[2]);
+  }
+  return changes;
+}
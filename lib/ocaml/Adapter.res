@@ -7,10 +7,19 @@
  * Defines the common interface that all runtime adapters must implement.
  */
 
-// Parameter definition for MCP tools
-type paramDef = {
+// Parameter definition for MCP tools (see lib/schema.js for the full format)
+type rec paramDef = {
   @as("type") type_: string,
   description: string,
+  required?: bool,
+  default?: JSON.t,
+  @as("enum") enum_?: array<string>,
+  minimum?: float,
+  maximum?: float,
+  items?: paramDef,
+  minItems?: int,
+  properties?: dict<paramDef>,
+  additionalProperties?: paramDef,
 }
 
 // Tool definition
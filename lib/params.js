@@ -0,0 +1,297 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Shared Parameter Definitions
+ * Structured params used by several tools in every adapter, and the
+ * conversions from those structures to runtime CLI flags
+ *
+ * See lib/schema.js for the param definition format.
+ */
+
+import { positional } from "./argv.js";
+
+// ============================================================================
+// Param Definitions
+// ============================================================================
+
+export const imageParam = {
+  type: "string",
+  required: true,
+  format: "image",
+  description: "Container image, e.g. nginx:latest",
+};
+
+/**
+ * A required list of container, image, network or volume references
+ * (`format` is "name", or "image" for image references)
+ */
+export function targetsParam(description, format = "name") {
+  return {
+    type: "array",
+    items: { type: "string", format },
+    minItems: 1,
+    required: true,
+    description,
+  };
+}
+
+export const portsParam = {
+  type: "array",
+  description: "Published ports",
+  items: {
+    type: "object",
+    properties: {
+      container: { type: "integer", minimum: 1, maximum: 65535, required: true, description: "Port inside the container" },
+      host: { type: "integer", minimum: 1, maximum: 65535, description: "Host port (random when omitted)" },
+      hostIp: { type: "string", description: "Host address to bind, e.g. 127.0.0.1" },
+      protocol: { type: "string", enum: ["tcp", "udp", "sctp"], description: "Protocol (default: tcp)" },
+    },
+  },
+};
+
+export const volumesParam = {
+  type: "array",
+  description: "Bind mounts and named volumes",
+  items: {
+    type: "object",
+    properties: {
+      source: { type: "string", required: true, format: "mountSource", description: "Absolute host path or volume name" },
+      target: { type: "string", required: true, format: "absolutePath", description: "Absolute path inside the container" },
+      readOnly: { type: "boolean", description: "Mount read-only" },
+    },
+  },
+};
+
+export const envParam = {
+  type: "object",
+  additionalProperties: { type: "string" },
+  secret: true,
+  description: "Environment variables, e.g. { \"LOG_LEVEL\": \"debug\" }",
+};
+
+export const buildArgsParam = {
+  type: "object",
+  additionalProperties: { type: "string" },
+  secret: true,
+  description: "Build arguments, e.g. { \"VERSION\": \"1.2\" }",
+};
+
+export const securityOptParam = {
+  type: "array",
+  items: { type: "string" },
+  description: "Security options, e.g. [\"label=disable\"]",
+};
+
+export const cgroupnsParam = {
+  type: "string",
+  enum: ["host", "private"],
+  description: "Cgroup namespace mode",
+};
+
+/**
+ * Resource limits shared by every <runtime>_run and <runtime>_create tool
+ * (capped by the policy file, see lib/policy.js)
+ */
+export const resourceLimitParams = {
+  memory: { type: "string", format: "byteSize", description: "Memory limit, e.g. 512m or 2g" },
+  cpus: { type: "number", minimum: 0.01, description: "Number of CPUs, e.g. 1.5" },
+};
+
+export const commandParam = {
+  anyOf: [
+    { type: "array", items: { type: "string" } },
+    { type: "string" },
+  ],
+  description: "Command as an argv array, or a shell-style string (quotes and escapes honoured, never expanded)",
+};
+
+/**
+ * Filtering and follow params shared by every <runtime>_logs tool
+ * (follow is streamed by lib/stream.js)
+ */
+export const logsParams = {
+  follow: {
+    type: "boolean",
+    description: "Stream new lines as notifications until the container stops, the call is cancelled or followTimeout elapses",
+  },
+  since: { type: "string", description: "Show logs since a timestamp (2025-01-01T10:00:00Z) or relative time (10m)" },
+  until: { type: "string", description: "Show logs before a timestamp or relative time" },
+  grep: { type: "string", description: "Only return lines matching this regular expression" },
+  followTimeout: {
+    type: "integer",
+    minimum: 1,
+    default: 300,
+    description: "Stop following after this many seconds",
+  },
+};
+
+/**
+ * Filter and subscription params shared by every <runtime>_events tool.
+ * Filters apply to normalised events (see lib/events.js), so they behave the
+ * same on every runtime.
+ */
+export const eventsParams = {
+  container: { type: "string", format: "name", description: "Only events about this container (ID prefix or name)" },
+  image: { type: "string", format: "image", description: "Only events about this image" },
+  type: {
+    type: "string",
+    enum: ["container", "image", "network", "volume"],
+    description: "Only events about this kind of object",
+  },
+  actions: {
+    type: "array",
+    items: { type: "string" },
+    minItems: 1,
+    description: 'Only these actions, e.g. ["die", "oom"] (follow defaults to start, die, oom, health_status)',
+  },
+  limit: {
+    type: "integer",
+    minimum: 1,
+    maximum: 1000,
+    default: 200,
+    description: "Return at most this many of the most recent events",
+  },
+  raw: { type: "boolean", description: "Attach the runtime's raw payload to each event" },
+  follow: {
+    type: "boolean",
+    description: "Subscribe: push matching events as notifications until the call is cancelled or followTimeout elapses",
+  },
+  followTimeout: logsParams.followTimeout,
+};
+
+/**
+ * Filters shared by every <runtime>_port tool (see normalizePortMappings)
+ */
+export const portFilterParams = {
+  port: { type: "integer", minimum: 1, maximum: 65535, description: "Only this container port" },
+  protocol: { type: "string", enum: ["tcp", "udp", "sctp"], description: "Only this protocol" },
+};
+
+/**
+ * Params shared by every <runtime>_login tool. Exactly one password source
+ * is required; lib/credentials.js resolves it.
+ */
+export const loginParams = {
+  registry: { type: "string", description: "Registry host, e.g. ghcr.io (default: the runtime's default registry)" },
+  username: { type: "string", required: true, description: "Registry user name" },
+  password: {
+    type: "string",
+    secret: true,
+    description: "Password or token (prefer passwordEnv or passwordFile, which keep it out of the tool call)",
+  },
+  passwordEnv: {
+    type: "string",
+    description: "Server environment variable holding the password; its name must start with CONTAINER_CREDENTIAL_ENV_PREFIX (default REGISTRY_)",
+  },
+  passwordFile: {
+    type: "string",
+    description: "File holding the password, inside the server's CONTAINER_CREDENTIALS_DIR",
+  },
+};
+
+/**
+ * Signal param shared by every <runtime>_kill tool
+ */
+export const signalParam = {
+  type: "string",
+  format: "signal",
+  description: "Signal to send, e.g. TERM, SIGHUP or 9 (default KILL)",
+};
+
+/**
+ * Params shared by every <runtime>_wait tool. The CLIs have no timeout of
+ * their own, so the wait is stopped by lib/stream.js.
+ */
+export const waitParams = {
+  container: { type: "string", required: true, format: "name", description: "Container ID or name" },
+  timeout: {
+    type: "integer",
+    minimum: 1,
+    maximum: 3600,
+    default: 300,
+    description: "Give up after this many seconds",
+  },
+};
+
+/**
+ * Added to destructive tools while confirmation is on (see lib/confirm.js)
+ */
+export const confirmationIdParam = {
+  type: "string",
+  description: "Confirms a removal: the confirmationId returned by the call that asked for confirmation",
+};
+
+/**
+ * Added to every tool that changes something (see lib/plan.js)
+ */
+export const dryRunParam = {
+  type: "boolean",
+  description: "Return the commands the call would run (argv, binary, global flags) without running anything",
+};
+
+/**
+ * Offered by long-running tools (build, pull, push, compose up); see lib/jobs.js
+ */
+export const backgroundParam = {
+  type: "boolean",
+  description: "Start a background job and return its jobId at once (see container_job_status)",
+};
+
+// ============================================================================
+// Flag Builders
+// ============================================================================
+
+/**
+ * -p flags: [{ host: 8080, container: 80 }] → ["-p", "8080:80/tcp"]
+ */
+export function portFlags(ports = []) {
+  return ports.flatMap(({ host, container, hostIp, protocol = "tcp" }) => {
+    const hostPart = hostIp ? `${hostIp}:${host ?? ""}:` : host ? `${host}:` : "";
+    return ["-p", `${hostPart}${container}/${protocol}`];
+  });
+}
+
+/**
+ * -v flags: [{ source: "/srv", target: "/data", readOnly: true }] → ["-v", "/srv:/data:ro"]
+ */
+export function volumeFlags(volumes = []) {
+  return volumes.flatMap(({ source, target, readOnly }) => [
+    "-v",
+    `${positional(source, "volumes.source")}:${target}${readOnly ? ":ro" : ""}`,
+  ]);
+}
+
+/**
+ * --memory/--cpus flags: { memory: "512m", cpus: 1.5 } → ["--memory=512m", "--cpus=1.5"]
+ */
+export function resourceLimitFlags({ memory, cpus }) {
+  const flags = [];
+  if (memory) flags.push(`--memory=${memory}`);
+  if (cpus) flags.push(`--cpus=${cpus}`);
+  return flags;
+}
+
+/**
+ * Repeated key=value flags: ("-e", { A: "1" }) → ["-e", "A=1"]
+ */
+export function keyValueFlags(flag, values = {}) {
+  return Object.entries(values).flatMap(([key, value]) => [flag, `${key}=${value}`]);
+}
+
+/**
+ * Repeated flag per list entry: ("--security-opt", ["a", "b"]) → ["--security-opt", "a", "--security-opt", "b"]
+ */
+export function repeatFlag(flag, values = []) {
+  return values.flatMap((value) => [flag, value]);
+}
+
+/**
+ * --since/--until flags, in `--flag=value` form so a value can never be read as an option
+ */
+export function timeRangeFlags({ since, until }) {
+  const flags = [];
+  if (since) flags.push(`--since=${since}`);
+  if (until) flags.push(`--until=${until}`);
+  return flags;
+}
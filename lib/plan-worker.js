@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Dry Run Worker
+ * Runs one adapter tool handler with command recording switched on (see
+ * lib/plan.js) and posts back the commands it would have run
+ */
+
+import { recordCommands } from "./plan.js";
+
+// Stands in for the call context: nothing is streamed, and background jobs
+// run (recording their commands) without being registered anywhere
+function createPlanContext() {
+  const jobs = [];
+  return {
+    signal: new AbortController().signal,
+    openStream: () => "dry-run",
+    closeStream() {},
+    emit() {},
+    progress() {},
+    jobEvent() {},
+    startJob(info, run) {
+      jobs.push(run({ id: null, signal: new AbortController().signal, append() {} }));
+      return { summary: () => ({ jobId: null, status: "planned", ...info }) };
+    },
+    settled: () => Promise.all(jobs),
+  };
+}
+
+self.onmessage = async ({ data: { module, toolName, params } }) => {
+  const commands = recordCommands();
+  const call = createPlanContext();
+  try {
+    const adapter = await import(module);
+    await adapter.tools[toolName].handler(params, call);
+    await call.settled();
+    self.postMessage({ commands });
+  } catch (error) {
+    self.postMessage({ error: { message: error.message, code: error.code, errors: error.errors } });
+  }
+};
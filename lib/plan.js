@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Dry Runs
+ * Runs a tool's handler with every runtime command recorded instead of
+ * executed, so a `dryRun: true` call reports the exact argv the real call
+ * would use without touching anything
+ *
+ * Adapters check planned() before spawning (their exec(), and streamLines()
+ * in lib/stream.js). Recording is switched on for a whole module graph, so
+ * each dry run happens in a worker of its own (lib/plan-worker.js) where no
+ * real call can be caught by it. Recorded commands "succeed" with empty
+ * output: a handler that picks its next command from earlier output shows
+ * the path taken on success.
+ */
+
+import { MASK } from "./redact.js";
+import { ValidationError } from "./validate.js";
+
+// A handler that has not finished planning by then is stuck
+const PLAN_TIMEOUT_MS = 30000;
+
+// Commands recorded so far; only ever set inside a plan worker
+let recording = null;
+
+/**
+ * Switch recording on for this module graph (plan workers only)
+ *
+ * @returns {{ argv: string[], stdin?: string }[]} Filled in as commands are recorded
+ */
+export function recordCommands() {
+  recording = [];
+  return recording;
+}
+
+/**
+ * Record a command instead of running it, during a dry run
+ *
+ * @param {string} binary
+ * @param {string[]} args - Full argument list, global flags included
+ * @param {Object} [options]
+ * @param {string} [options.input] - Would be written to stdin (never recorded, it is a secret)
+ * @returns {Object|null} A stand-in ExecResult, or null when the command should really run
+ */
+export function planned(binary, args, { input } = {}) {
+  if (!recording) return null;
+
+  const argv = [binary, ...args];
+  recording.push({ argv, ...(input !== undefined && { stdin: MASK }) });
+  return { stdout: "", stderr: "", code: 0, argv, durationMs: 0 };
+}
+
+/**
+ * Dry-run one adapter tool
+ *
+ * @param {string} module - URL of the adapter module (its `cli.module`)
+ * @param {string} toolName - One of the adapter's tools
+ * @param {Object} params - Arguments, already validated and allowed by policy
+ * @returns {Promise<{ commands: { argv: string[], stdin?: string }[] }>} What it
+ *   would have run, in order
+ * @throws The handler's own error (ArgumentError, ValidationError, ...) when
+ *   the arguments cannot be turned into a command line
+ */
+export function planCall(module, toolName, params) {
+  const worker = new Worker(new URL("./plan-worker.js", import.meta.url), { type: "module" });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`Dry run of ${toolName} did not finish within ${PLAN_TIMEOUT_MS}ms`));
+    }, PLAN_TIMEOUT_MS);
+
+    worker.onmessage = ({ data: { commands, error } }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      if (!error) return resolve({ commands });
+      reject(error.errors ? new ValidationError(error.errors) : Object.assign(new Error(error.message), { code: error.code }));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      clearTimeout(timer);
+      worker.terminate();
+      reject(new Error(`Dry run of ${toolName} failed: ${event.message}`));
+    };
+    worker.postMessage({ module, toolName, params });
+  });
+}
+
+/**
+ * Absolute path of the binary a command name resolves to through $PATH
+ * (null when it is not found)
+ */
+export function resolveBinary(binary) {
+  const candidates = binary.includes("/")
+    ? [binary]
+    : (Deno.env.get("PATH") || "").split(":").filter(Boolean).map((dir) => `${dir}/${binary}`);
+
+  for (const candidate of candidates) {
+    try {
+      if (Deno.statSync(candidate).isFile) return candidate;
+    } catch {
+      // Not there: try the next directory
+    }
+  }
+  return null;
+}
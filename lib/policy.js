@@ -0,0 +1,365 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Policy Engine
+ * Gates tool calls with a declarative policy file, so an operator decides
+ * what MCP clients may do instead of every client being trusted with
+ * privileged containers, host mounts and prunes
+ *
+ * The file (JSON, CONTAINER_POLICY_FILE) is read at startup and re-read
+ * whenever it changes. A file that fails to load at startup stops the
+ * server; a bad edit later is reported and the previous policy stays in
+ * force. Every section is optional:
+ *
+ *   {
+ *     "tools":      { "allow": ["container_*"], "deny": ["*_system_prune"] },
+ *     "privileged": false,
+ *     "mounts":     { "hostPaths": ["/srv/data"] },
+ *     "images":     { "registries": ["docker.io", "ghcr.io"], "allow": ["ghcr.io/acme/*"] },
+ *     "resources":  { "memory": "2g", "cpus": 2 },
+ *     "params":     { "*_rm": { "force": [true] } }
+ *   }
+ *
+ * Tool names and image patterns take `*` wildcards. A call the policy
+ * refuses fails with a PolicyError naming the rule that fired (tools.deny,
+ * mounts.hostPaths, params.*_rm.force, ...); nothing is spawned.
+ */
+
+import { ErrorCode } from "./result.js";
+
+// How often the file's modification time is checked
+const RELOAD_INTERVAL_MS = 2000;
+
+// securityOpt entries that switch off seccomp, AppArmor, SELinux or masked paths
+const UNCONFINED_OPTS = /^\s*(?:(?:seccomp|apparmor|systempaths)\s*[=:]\s*unconfined|label\s*[=:]\s*disable)\s*$/i;
+
+const SECTIONS = ["tools", "privileged", "mounts", "images", "resources", "params"];
+
+const BYTE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+export class PolicyError extends Error {
+  constructor(rule, reason) {
+    super(`Denied by policy rule ${rule}: ${reason}`);
+    this.name = "PolicyError";
+    this.code = ErrorCode.POLICY_DENIED;
+    this.rule = rule;
+    this.reason = reason;
+  }
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+function globToRegExp(pattern) {
+  const escaped = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${escaped.join(".*")}$`);
+}
+
+/**
+ * Whether a value matches one of the patterns (`*` matches anything)
+ */
+export function matchesAny(patterns, value) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(value));
+}
+
+// Resolve . and .. lexically, so /srv/data/../../etc is seen as /etc
+function normalizePath(path) {
+  const parts = [];
+  for (const part of path.split("/")) {
+    if (part === "" || part === ".") continue;
+    if (part === "..") parts.pop();
+    else parts.push(part);
+  }
+  return `/${parts.join("/")}`;
+}
+
+/**
+ * The host path a mount would really reach: symlinks resolved as far as the
+ * path exists, so a link under an allowed prefix cannot point out of it. The
+ * part that does not exist yet is taken as written (the runtime creates it).
+ */
+function resolveHostPath(path) {
+  const parts = path.split("/").filter(Boolean);
+  for (let i = parts.length; i > 0; i--) {
+    try {
+      const real = Deno.realPathSync(`/${parts.slice(0, i).join("/")}`);
+      return normalizePath([real, ...parts.slice(i)].join("/"));
+    } catch {
+      // Not there (or not readable): try its parent
+    }
+  }
+  return normalizePath(path);
+}
+
+function isUnder(path, prefix) {
+  const base = resolveHostPath(prefix);
+  return base === "/" || path === base || path.startsWith(`${base}/`);
+}
+
+/**
+ * Host paths a call names in its `hostPath` params (cp, export, build,
+ * compose files...), relative ones taken from the server's working
+ * directory, which is where the runtime CLI runs
+ */
+function hostPathArgs(toolParams = {}, params) {
+  const paths = [];
+  for (const [key, param] of Object.entries(toolParams)) {
+    const value = params[key];
+    if (!param.hostPath || typeof value !== "string") continue;
+    // cp: `container:path` is the container's side
+    if (param.hostPath === "copy" && /^[^/]+?:/.test(value)) continue;
+    paths.push(value.startsWith("/") ? value : `${Deno.cwd()}/${value}`);
+  }
+  return paths;
+}
+
+/**
+ * Registry and fully qualified form of an image reference, as docker and
+ * nerdctl resolve it: nginx → docker.io/library/nginx:latest
+ */
+export function qualifyImage(ref) {
+  const [first, ...rest] = ref.split("/");
+  const hasRegistry = rest.length > 0 && (first.includes(".") || first.includes(":") || first === "localhost");
+  const registry = hasRegistry ? first : "docker.io";
+  let path = hasRegistry ? rest.join("/") : ref;
+  if (registry === "docker.io" && !path.includes("/")) path = `library/${path}`;
+  if (!/[:@]/.test(path.split("/").pop())) path = `${path}:latest`;
+  return { registry, reference: `${registry}/${path}` };
+}
+
+function parseByteSize(value) {
+  const [, number, unit] = String(value).match(/^(\d+(?:\.\d+)?)([bkmg]?)$/i) || [];
+  return number === undefined ? NaN : Number(number) * BYTE_UNITS[(unit || "b").toLowerCase()];
+}
+
+// Image references among a call's arguments (params with format "image")
+function imagesOf(paramDefs, params) {
+  const images = [];
+  for (const [key, param] of Object.entries(paramDefs || {})) {
+    const value = params[key];
+    if (value === undefined || value === null) continue;
+    if (param.format === "image") images.push([key, value]);
+    if (param.type === "array" && param.items?.format === "image") {
+      for (const item of value) images.push([key, item]);
+    }
+  }
+  return images;
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+function fail(path, message) {
+  throw new Error(`Policy ${path}: ${message}`);
+}
+
+function stringList(path, field, value) {
+  if (value === undefined) return;
+  if (!Array.isArray(value) || value.some((entry) => typeof entry !== "string")) {
+    fail(path, `${field} must be a list of strings`);
+  }
+}
+
+/**
+ * Parse and check a policy document; unknown sections are refused so a typo
+ * cannot quietly leave a rule out
+ *
+ * @param {string} text - JSON
+ * @param {string} path - For error messages
+ * @returns {Object} The policy rules
+ */
+export function parsePolicy(text, path) {
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (err) {
+    fail(path, `is not valid JSON (${err.message})`);
+  }
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) fail(path, "must be a JSON object");
+
+  for (const key of Object.keys(rules)) {
+    if (!SECTIONS.includes(key)) fail(path, `unknown section ${key} (expected ${SECTIONS.join(", ")})`);
+  }
+
+  const { tools = {}, privileged, mounts = {}, images = {}, resources = {}, params = {} } = rules;
+  stringList(path, "tools.allow", tools.allow);
+  stringList(path, "tools.deny", tools.deny);
+  if (privileged !== undefined && typeof privileged !== "boolean") fail(path, "privileged must be true or false");
+  stringList(path, "mounts.hostPaths", mounts.hostPaths);
+  for (const prefix of mounts.hostPaths || []) {
+    if (!prefix.startsWith("/")) fail(path, `mounts.hostPaths entry ${prefix} must be an absolute path`);
+  }
+  stringList(path, "images.registries", images.registries);
+  stringList(path, "images.allow", images.allow);
+  if (resources.memory !== undefined && Number.isNaN(parseByteSize(resources.memory))) {
+    fail(path, "resources.memory must be a size such as 512m or 2g");
+  }
+  if (resources.cpus !== undefined && !(typeof resources.cpus === "number" && resources.cpus > 0)) {
+    fail(path, "resources.cpus must be a positive number");
+  }
+  for (const [tool, forbidden] of Object.entries(params)) {
+    for (const [param, values] of Object.entries(forbidden || {})) {
+      if (!Array.isArray(values)) fail(path, `params.${tool}.${param} must be a list of forbidden values`);
+    }
+  }
+  return rules;
+}
+
+// ============================================================================
+// Engine
+// ============================================================================
+
+/**
+ * Create the policy engine
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Policy file; without one every call is allowed
+ * @returns {Object} Engine with `enforce()` and `status()`
+ */
+export function createPolicy({ path } = {}) {
+  let rules = {};
+  let loadedAt = null;
+  let modified = null;
+  let reloadError = null;
+
+  if (path) {
+    modified = Deno.statSync(path).mtime?.getTime() ?? null;
+    rules = parsePolicy(Deno.readTextFileSync(path), path);
+    loadedAt = new Date().toISOString();
+  }
+
+  // Hot reload: an edit replaces the rules only once the new file checks out
+  let reloading = false;
+  const timer = path
+    ? setInterval(async () => {
+      if (reloading) return;
+      reloading = true;
+      try {
+        const mtime = (await Deno.stat(path)).mtime?.getTime() ?? null;
+        if (mtime === modified) return;
+        modified = mtime;
+        rules = parsePolicy(await Deno.readTextFile(path), path);
+        loadedAt = new Date().toISOString();
+        reloadError = null;
+        console.error(`Policy reloaded from ${path}`);
+      } catch (err) {
+        reloadError = err.message;
+        console.error(`${err.message}; keeping the previous policy`);
+      } finally {
+        reloading = false;
+      }
+    }, RELOAD_INTERVAL_MS)
+    : undefined;
+  if (timer) Deno.unrefTimer(timer);
+
+  /**
+   * Check a call against the policy
+   *
+   * @param {string} toolName
+   * @param {Object} tool - Its definition ({ effect, destructive, params, ... })
+   * @param {Object} params - The call's arguments
+   * @returns {Object} The arguments to run with: resource limits the call
+   *   left out are set to the policy's caps
+   * @throws {PolicyError} Naming the rule that refused the call
+   */
+  function enforce(toolName, tool, params = {}) {
+    const { tools = {}, privileged, mounts = {}, images = {}, resources = {}, params: forbidden = {} } = rules;
+
+    if (tools.deny && matchesAny(tools.deny, toolName)) {
+      throw new PolicyError("tools.deny", `${toolName} is denied`);
+    }
+    if (tools.allow && !matchesAny(tools.allow, toolName)) {
+      throw new PolicyError("tools.allow", `${toolName} is not in the allow list`);
+    }
+
+    // nested mounts the runtime's socket and state, and lifting the kernel's
+    // confinement or sharing the host's namespaces reaches the host as well
+    if (privileged === false) {
+      for (const flag of ["privileged", "nested"]) {
+        if (params[flag] === true) throw new PolicyError("privileged", `${flag} containers are not allowed`);
+      }
+      const unconfined = (params.securityOpt || []).find((opt) => UNCONFINED_OPTS.test(opt));
+      if (unconfined) throw new PolicyError("privileged", `securityOpt ${unconfined} is not allowed`);
+      for (const namespace of ["cgroupns", "userns"]) {
+        if (params[namespace] === "host") throw new PolicyError("privileged", `${namespace} host is not allowed`);
+      }
+    }
+
+    // A compose file can ask for anything a run call can, out of sight of
+    // the checks above and below
+    if (tool.fromFile && (privileged === false || mounts.hostPaths)) {
+      const rule = privileged === false ? "privileged" : "mounts.hostPaths";
+      throw new PolicyError(rule, `${toolName} runs what a file describes, which the policy cannot check`);
+    }
+
+    if (mounts.hostPaths) {
+      // Host paths the tool mounts by itself for a flag (nested: the runtime's socket)
+      const implicit = Object.entries(tool.hostMounts || {})
+        .filter(([flag]) => params[flag] === true)
+        .flatMap(([, paths]) => paths);
+      const sources = [
+        ...(params.volumes || []).map((volume) => volume.source),
+        ...implicit,
+        ...hostPathArgs(tool.params, params),
+      ];
+      for (const source of sources) {
+        if (typeof source !== "string" || !source.startsWith("/")) continue;
+        const hostPath = resolveHostPath(source);
+        if (!mounts.hostPaths.some((prefix) => isUnder(hostPath, prefix))) {
+          throw new PolicyError("mounts.hostPaths", `host path ${source} is outside ${mounts.hostPaths.join(", ")}`);
+        }
+      }
+    }
+
+    // Images a call would run, pull, build, tag, push or save; listing,
+    // inspecting and removing them stays possible
+    if ((images.registries || images.allow) && tool.effect !== "read" && !tool.destructive) {
+      for (const [field, image] of imagesOf(tool.params, params)) {
+        const { registry, reference } = qualifyImage(image);
+        if (images.registries && !images.registries.includes(registry)) {
+          throw new PolicyError("images.registries", `${field} ${image} is from ${registry}, which is not allowed`);
+        }
+        if (images.allow && !matchesAny(images.allow, reference)) {
+          throw new PolicyError("images.allow", `${field} ${reference} is not an allowed image`);
+        }
+      }
+    }
+
+    for (const [pattern, values] of Object.entries(forbidden)) {
+      if (!matchesAny([pattern], toolName)) continue;
+      for (const [param, refused] of Object.entries(values || {})) {
+        if (params[param] !== undefined && refused.includes(params[param])) {
+          throw new PolicyError(`params.${pattern}.${param}`, `${param}: ${JSON.stringify(params[param])} is not allowed`);
+        }
+      }
+    }
+
+    const capped = { ...params };
+    if (resources.memory !== undefined && tool.params?.memory) {
+      if (params.memory === undefined) {
+        capped.memory = String(resources.memory);
+      } else if (parseByteSize(params.memory) > parseByteSize(resources.memory)) {
+        throw new PolicyError("resources.memory", `memory ${params.memory} is above the cap of ${resources.memory}`);
+      }
+    }
+    if (resources.cpus !== undefined && tool.params?.cpus) {
+      if (params.cpus === undefined) {
+        capped.cpus = resources.cpus;
+      } else if (params.cpus > resources.cpus) {
+        throw new PolicyError("resources.cpus", `cpus ${params.cpus} is above the cap of ${resources.cpus}`);
+      }
+    }
+    return capped;
+  }
+
+  return {
+    enforce,
+
+    status() {
+      return { file: path || null, enforced: Boolean(path), loadedAt, reloadError, rules };
+    },
+  };
+}
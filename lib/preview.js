@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Removal Preview
+ * Lists what a destructive call would remove, without removing anything,
+ * so a person can confirm it (see lib/confirm.js)
+ *
+ * Previews are built from the runtime's own read tools (ps, images,
+ * volume_ls, network_ls, compose_ps) and their normalised output, so they
+ * work the same for every runtime. They show the state at the time of the
+ * preview: a prune confirmed later removes whatever is unused by then.
+ */
+
+import { qualifyImage } from "./policy.js";
+
+// Containers system prune keeps
+const ACTIVE_STATES = new Set(["running", "paused", "restarting"]);
+
+// Networks every runtime creates and prune never removes
+const DEFAULT_NETWORKS = new Set(["bridge", "host", "none", "podman"]);
+
+const COMPOSE_PROJECT = "com.docker.compose.project";
+
+const shortId = (id) => String(id || "").replace(/^sha256:/, "").slice(0, 12) || null;
+
+const container = (c) => ({ id: shortId(c.id), name: c.names[0] ?? null, image: c.image, state: c.state });
+const image = (i) => ({ id: shortId(i.id), names: i.names });
+const volume = (v) => ({ name: v.name });
+const network = (n) => ({ id: shortId(n.id), name: n.name });
+
+// Split `targets` into the listed items they name and the names that match nothing
+function resolveTargets(targets, items, matches) {
+  const found = [];
+  const notFound = [];
+  for (const target of targets) {
+    const item = items.find((candidate) => matches(candidate, target));
+    if (item) found.push(item);
+    else notFound.push(target);
+  }
+  return { found, notFound };
+}
+
+const isContainer = (c, target) => c.id.startsWith(target) || c.names.includes(target);
+
+const IMAGE_ID = /^(?:sha256:)?([0-9a-f]{4,64})$/;
+
+function isImage(i, target) {
+  const [, id] = target.match(IMAGE_ID) || [];
+  if (id && i.id.replace(/^sha256:/, "").startsWith(id)) return true;
+  const wanted = qualifyImage(target).reference;
+  return i.names.some((name) => qualifyImage(name).reference === wanted);
+}
+
+const isNetwork = (n, target) => n.name === target || Boolean(n.id?.startsWith(target));
+
+const PREVIEWS = {
+  async rm(read, { containers, force = false }) {
+    const { found, notFound } = resolveTargets(containers, (await read("ps", { all: true })).containers, isContainer);
+    const running = found.filter((c) => ACTIVE_STATES.has(c.state));
+    return {
+      containers: found.map(container),
+      notFound,
+      ...(!force && running.length > 0 && { notes: ["Running containers are kept unless force is set"] }),
+    };
+  },
+
+  async rmi(read, { images }) {
+    const { found, notFound } = resolveTargets(images, (await read("images", {})).images, isImage);
+    return { images: found.map(image), notFound };
+  },
+
+  async volume_rm(read, { volumes }) {
+    const { found, notFound } = resolveTargets(volumes, (await read("volume_ls", {})).volumes, (v, t) => v.name === t);
+    return { volumes: found.map(volume), notFound };
+  },
+
+  async network_rm(read, { networks }) {
+    const { found, notFound } = resolveTargets(networks, (await read("network_ls", {})).networks, isNetwork);
+    return { networks: found.map(network), notFound };
+  },
+
+  async compose_down(read, { file, volumes = false }) {
+    const { services } = await read("compose_ps", { file });
+    // One entry is parsed as an object rather than a list
+    const names = [services ?? []].flat().flatMap((service) => [service.Name ?? service.Names ?? []].flat());
+    const containers = (await read("ps", { all: true })).containers.filter((c) => c.names.some((n) => names.includes(n)));
+
+    // Networks and volumes belong to the project through the label compose puts on them
+    const projects = new Set(containers.map((c) => c.labels[COMPOSE_PROJECT]).filter(Boolean));
+    const inProject = (item) => projects.has(item.labels[COMPOSE_PROJECT]);
+
+    return {
+      containers: containers.map(container),
+      networks: (await read("network_ls", {})).networks.filter(inProject).map(network),
+      volumes: volumes ? (await read("volume_ls", {})).volumes.filter(inProject).map(volume) : [],
+    };
+  },
+
+  async system_prune(read, { all = false, volumes = false }) {
+    const containers = (await read("ps", { all: true })).containers;
+    const kept = containers.filter((c) => ACTIVE_STATES.has(c.state));
+    const inUse = (i) => kept.some((c) => c.image && isImage(i, c.image));
+    const images = (await read("images", {})).images.filter((i) => (all ? !inUse(i) : i.names.length === 0));
+
+    return {
+      containers: containers.filter((c) => !ACTIVE_STATES.has(c.state)).map(container),
+      images: images.map(image),
+      networks: (await read("network_ls", {})).networks.filter((n) => !DEFAULT_NETWORKS.has(n.name)).map(network),
+      volumes: volumes ? (await read("volume_ls", { dangling: true })).volumes.map(volume) : [],
+      notes: ["networks lists custom networks; only those no container uses are removed"],
+    };
+  },
+};
+
+/**
+ * What a destructive tool call would remove
+ *
+ * @param {(action: string, params: Object) => Promise<Object>} read - Runs one
+ *   of the runtime's read tools (ps, images, ...) and returns its parsed output
+ * @param {string} action - The tool name without its runtime prefix: rm, rmi,
+ *   volume_rm, network_rm, compose_down or system_prune
+ * @param {Object} params - The call's arguments
+ * @returns {Promise<Object|null>} Lists of containers, images, networks and
+ *   volumes, plus `notFound` targets; null for tools without a preview
+ */
+export function previewRemoval(read, action, params) {
+  const preview = PREVIEWS[action];
+  return preview ? preview(read, params) : Promise.resolve(null);
+}
+
+/**
+ * One-paragraph summary of a preview, for asking a person
+ */
+export function describeRemoval(toolName, preview) {
+  if (!preview || preview.error) {
+    return `${toolName} removes data that cannot be recovered${preview ? ` (${preview.error})` : ""}. Continue?`;
+  }
+
+  const listed = ["containers", "images", "networks", "volumes"]
+    .filter((kind) => preview[kind]?.length > 0)
+    .map((kind) => `${kind}: ${preview[kind].map((item) => item.name ?? item.names?.[0] ?? item.id).join(", ")}`);
+  const lines = [
+    ...(listed.length > 0
+      ? [`${toolName} will remove:`, ...listed.map((line) => `  ${line}`)]
+      : [`${toolName} will remove nothing that exists now.`]),
+    ...(preview.notFound?.length > 0 ? [`Not found: ${preview.notFound.join(", ")}`] : []),
+    ...(preview.notes || []),
+    "Continue?",
+  ];
+  return lines.join("\n");
+}
@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Progress Parsing
+ * Turns runtime CLI output lines into MCP progress updates
+ *
+ *   pull, push - percentage across layers, from per-layer byte counts
+ *                (nerdctl, podman) or layer completion (docker without a TTY)
+ *   build      - step N of M (docker "Step 3/10", buildah "STEP 3/10",
+ *                BuildKit "#7 [2/4] RUN ...")
+ *   compose    - count of services created, started, pulled or built
+ *
+ * MCP requires progress to increase with every notification, so a parser
+ * only returns an update when its value goes up.
+ */
+
+// Docker ("a1b2c3d4e5f6: Downloading"), nerdctl ("layer-sha256:…:") and podman ("Copying blob …")
+const LAYER = /^(?:Copying blob\s+)?(?:layer-)?(?:sha256:)?([0-9a-f]{12,64})\b/i;
+// "12.5MB/50MB", "1.0 MiB/3.2 MiB", "12.0MiB / 50.0MiB"
+const TRANSFER = /([\d.]+)\s*([KMGT]?i?B)\s*\/\s*([\d.]+)\s*([KMGT]?i?B)/i;
+const LAYER_DONE = /pull complete|download complete|already exists|pushed|\bdone\b/i;
+const BUILD_STEP = /^(?:step\s+(\d+)\/(\d+)|#\d+\s+\[[^\]]*?(\d+)\/(\d+)\])/i;
+const COMPOSE_EVENT = /\b(?:created|started|running|healthy|pulled|built)\b/i;
+
+const UNITS = { B: 1, KB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12, KIB: 1024, MIB: 1024 ** 2, GIB: 1024 ** 3, TIB: 1024 ** 4 };
+
+function bytes(value, unit) {
+  return parseFloat(value) * (UNITS[unit.toUpperCase()] ?? 1);
+}
+
+function transferParser() {
+  const layers = new Map();
+  return (line) => {
+    const id = LAYER.exec(line.trim())?.[1];
+    if (!id) return null;
+
+    const layer = layers.get(id) ?? { fraction: 0 };
+    layers.set(id, layer);
+    if (LAYER_DONE.test(line)) {
+      layer.fraction = 1;
+    } else {
+      const transfer = TRANSFER.exec(line);
+      if (transfer) {
+        const total = bytes(transfer[3], transfer[4]);
+        if (total > 0) layer.fraction = Math.min(1, bytes(transfer[1], transfer[2]) / total);
+      }
+    }
+
+    const sum = [...layers.values()].reduce((acc, l) => acc + l.fraction, 0);
+    return { progress: Math.floor((100 * sum) / layers.size), total: 100 };
+  };
+}
+
+function buildParser() {
+  return (line) => {
+    const step = BUILD_STEP.exec(line.trim());
+    if (!step) return null;
+    return { progress: Number(step[1] ?? step[3]), total: Number(step[2] ?? step[4]) };
+  };
+}
+
+function composeParser() {
+  let count = 0;
+  return (line) => (COMPOSE_EVENT.test(line) ? { progress: ++count } : null);
+}
+
+const PARSERS = {
+  pull: transferParser,
+  push: transferParser,
+  build: buildParser,
+  compose: composeParser,
+};
+
+/**
+ * Create a progress parser for one run of an operation
+ *
+ * @param {"pull" | "push" | "build" | "compose"} kind
+ * @returns {(line: string) => { progress: number, total?: number, message: string } | null}
+ */
+export function createProgressParser(kind) {
+  const parse = PARSERS[kind]();
+  let last = -1;
+  return (line) => {
+    const update = parse(line);
+    if (!update || update.progress <= last) return null;
+    last = update.progress;
+    return { ...update, message: line.trim() };
+  };
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Secret Redaction
+ * Masks secrets in everything the server sends back or writes to its logs:
+ * tool results, error payloads and the params they echo, notifications, job
+ * output and the HTTP transport's log lines
+ *
+ * Three kinds of secret are masked:
+ *
+ *   declared   - params marked `secret: true` (passwords; env and buildArgs,
+ *                whose keys are kept and values masked), including where the
+ *                runtime echoes them back, e.g. `-e DB_PASSWORD=...` in argv
+ *   by key     - values under keys that look sensitive (DB_PASSWORD, apiKey,
+ *                GITHUB_TOKEN, ...), in objects and in KEY=value text, plus
+ *                Bearer/Basic credentials. CONTAINER_REDACT_KEYS adds key
+ *                patterns (comma-separated regular expressions).
+ *   resolved   - secrets the server looked up itself (registry passwords
+ *                read from env vars or files), see rememberSecret()
+ */
+
+export const MASK = "[REDACTED]";
+
+// Matched against the end of a key, so passwordFile or tokenCount are left alone
+const DEFAULT_KEY_PATTERN =
+  /(?:password|passwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?|authorization)$/i;
+
+const KEY_PATTERNS = [
+  DEFAULT_KEY_PATTERN,
+  ...(Deno.env.get("CONTAINER_REDACT_KEYS") || "").split(",").map((p) => p.trim()).filter(Boolean).map((source) => {
+    try {
+      return new RegExp(source, "i");
+    } catch (err) {
+      throw new Error(`CONTAINER_REDACT_KEYS: ${source} is not a valid regular expression (${err.message})`);
+    }
+  }),
+];
+
+// KEY=value and "KEY: value" in free text
+const KEY_VALUE = /([A-Za-z_][\w.-]*)(=|:[ \t]*)("[^"]*"|'[^']*'|[^\s,;]+)/g;
+const AUTH_SCHEME = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+
+// Shorter values occur by chance too often to be masked in free text
+const MIN_TEXT_SECRET = 4;
+const MAX_REMEMBERED = 100;
+const remembered = new Set();
+
+/**
+ * Whether values under `key` are masked wherever they appear
+ */
+export function isSensitiveKey(key) {
+  return KEY_PATTERNS.some((pattern) => pattern.test(key));
+}
+
+/**
+ * Mask `value` in all output from now on (the oldest of MAX_REMEMBERED go first)
+ */
+export function rememberSecret(value) {
+  if (typeof value !== "string" || value.length < MIN_TEXT_SECRET) return;
+  remembered.delete(value);
+  remembered.add(value);
+  if (remembered.size > MAX_REMEMBERED) remembered.delete(remembered.values().next().value);
+}
+
+/**
+ * What to mask in the output of one call, from its declared secret params
+ *
+ * @param {Object} paramDefs - The tool's param definitions
+ * @param {Object} values - The call's arguments
+ * @returns {string[][]} [text, replacement] pairs, longest text first
+ */
+export function secretsOf(paramDefs, values) {
+  const replacements = [];
+  for (const [key, param] of Object.entries(paramDefs || {})) {
+    const value = values?.[key];
+    if (!param.secret || value === undefined || value === null) continue;
+
+    if (typeof value === "object") {
+      for (const [name, entry] of Object.entries(value)) {
+        replacements.push([`${name}=${entry}`, `${name}=${MASK}`]);
+        if (isSensitiveKey(name) && String(entry).length >= MIN_TEXT_SECRET) replacements.push([String(entry), MASK]);
+      }
+    } else if (String(value).length >= MIN_TEXT_SECRET) {
+      replacements.push([String(value), MASK]);
+    }
+  }
+  return replacements.sort(([a], [b]) => b.length - a.length);
+}
+
+/**
+ * Mask secrets in a string
+ *
+ * @param {string} text
+ * @param {string[][]} [replacements] - From secretsOf()
+ */
+export function redactText(text, replacements = []) {
+  let masked = text;
+  for (const [secret, replacement] of replacements) masked = masked.replaceAll(secret, replacement);
+  for (const secret of remembered) masked = masked.replaceAll(secret, MASK);
+  return masked
+    .replace(AUTH_SCHEME, `$1 ${MASK}`)
+    .replace(KEY_VALUE, (match, key, separator) => (isSensitiveKey(key) ? `${key}${separator}${MASK}` : match));
+}
+
+/**
+ * Mask secrets in a JSON-like value (results, error payloads, log entries)
+ *
+ * @param {*} value
+ * @param {string[][]} [replacements] - From secretsOf()
+ * @returns {*} A masked copy
+ */
+export function redact(value, replacements = []) {
+  if (typeof value === "string") return redactText(value, replacements);
+  if (Array.isArray(value)) return value.map((item) => redact(item, replacements));
+  if (value === null || typeof value !== "object" || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      isSensitiveKey(key) && (typeof entry === "string" || typeof entry === "number") ? MASK : redact(entry, replacements),
+    ]),
+  );
+}
+
+/**
+ * Mask a call's arguments for echoing them back (error context): declared
+ * secrets entirely, maps of them value by value, the rest as redact() would
+ */
+export function redactParams(paramDefs, values, replacements = []) {
+  if (!values || typeof values !== "object") return values;
+  const masked = { ...values };
+  for (const [key, param] of Object.entries(paramDefs || {})) {
+    const value = masked[key];
+    if (!param.secret || value === undefined || value === null) continue;
+    masked[key] = typeof value === "object" ? Object.fromEntries(Object.keys(value).map((name) => [name, MASK])) : MASK;
+  }
+  return redact(masked, replacements);
+}
@@ -2,6 +2,8 @@
 // SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
 // resilience.js - JavaScript wrapper for resilience patterns
 
+import { ErrorCode } from "./result.js";
+
 /**
  * Circuit Breaker implementation
  */
@@ -68,6 +70,8 @@ export class CircuitBreaker {
 
 /**
  * LRU Cache with TTL
+ * Entries can carry tags (e.g. "containers") so a change drops every entry
+ * it makes stale, whatever its key
  */
 export class Cache {
   constructor(options = {}) {
@@ -76,6 +80,7 @@ export class Cache {
     this.entries = new Map();
     this.hits = 0;
     this.misses = 0;
+    this.invalidated = 0;
   }
 
   get(key) {
@@ -97,7 +102,7 @@ export class Cache {
     return entry.value;
   }
 
-  set(key, value, ttl = this.defaultTtl) {
+  set(key, value, ttl = this.defaultTtl, tags = []) {
     // Evict oldest if at capacity
     if (this.entries.size >= this.maxSize) {
       const oldestKey = this.entries.keys().next().value;
@@ -107,6 +112,7 @@ export class Cache {
       value,
       expires: Date.now() + ttl,
       hits: 0,
+      tags,
     });
   }
 
@@ -119,10 +125,30 @@ export class Cache {
     return this.entries.delete(key);
   }
 
+  /**
+   * Drop entries whose key matches, keeping the hit/miss statistics
+   */
+  invalidate(predicate = () => true) {
+    for (const [key, entry] of [...this.entries]) {
+      if (predicate(key, entry)) {
+        this.entries.delete(key);
+        this.invalidated++;
+      }
+    }
+  }
+
+  /**
+   * Drop entries tagged with any of `tags`
+   */
+  invalidateTags(tags) {
+    this.invalidate((_key, entry) => entry.tags.some((tag) => tags.includes(tag)));
+  }
+
   clear() {
     this.entries.clear();
     this.hits = 0;
     this.misses = 0;
+    this.invalidated = 0;
   }
 
   getStats() {
@@ -133,18 +159,21 @@ export class Cache {
       hits: this.hits,
       misses: this.misses,
       hitRate: total > 0 ? this.hits / total : 0,
+      invalidated: this.invalidated,
     };
   }
 }
 
 /**
  * Retry with exponential backoff
+ * `options.shouldRetry(error)` can stop early on errors not worth retrying
  */
 export async function retryWithBackoff(operation, options = {}) {
   const maxAttempts = options.maxAttempts || 3;
   const baseDelay = options.baseDelay || 1000;
   const maxDelay = options.maxDelay || 30000;
   const multiplier = options.multiplier || 2;
+  const shouldRetry = options.shouldRetry || (() => true);
 
   let lastError;
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -152,6 +181,7 @@ export async function retryWithBackoff(operation, options = {}) {
       return await operation();
     } catch (error) {
       lastError = error;
+      if (!shouldRetry(error)) break;
       if (attempt < maxAttempts) {
         const delay = Math.min(baseDelay * Math.pow(multiplier, attempt - 1), maxDelay);
         await new Promise((resolve) => setTimeout(resolve, delay));
@@ -307,8 +337,21 @@ export class MetricsCollector {
   }
 }
 
+/**
+ * Raised when every fallback failed; `failures` lists them in the order tried
+ */
+export class FallbackExhaustedError extends Error {
+  constructor(failures) {
+    const tried = failures.map(({ name, error }) => `${name}: ${error.message}`).join("; ");
+    super(`All fallbacks exhausted${tried ? ` (${tried})` : ""}`);
+    this.name = "FallbackExhaustedError";
+    this.failures = failures;
+  }
+}
+
 /**
  * Fallback Registry
+ * Tries handlers in priority order until one succeeds
  */
 export class FallbackRegistry {
   constructor() {
@@ -320,18 +363,28 @@ export class FallbackRegistry {
     this.fallbacks.sort((a, b) => a.priority - b.priority);
   }
 
-  async execute(args) {
+  /**
+   * @param {*} args - Passed to each handler
+   * @param {Object} [options]
+   * @param {(error: Error) => boolean} [options.shouldFallback] - Errors it rejects are rethrown at once
+   * @returns {Promise<{ name: string, value: *, failures: Array<{ name: string, error: Error }> }>}
+   *   The handler that succeeded, its value and the handlers that failed before it
+   */
+  async execute(args, options = {}) {
+    const shouldFallback = options.shouldFallback || (() => true);
+    const failures = [];
     for (const fb of this.fallbacks) {
       if (fb.isAvailable()) {
         try {
-          return await fb.execute(args);
+          return { name: fb.name, value: await fb.execute(args), failures };
         } catch (error) {
+          if (!shouldFallback(error)) throw error;
           // Try next fallback
-          continue;
+          failures.push({ name: fb.name, error });
         }
       }
     }
-    throw new Error("All fallbacks exhausted");
+    throw new FallbackExhaustedError(failures);
   }
 
   getAvailable() {
@@ -393,9 +446,49 @@ export class SelfHealer {
   }
 }
 
+/**
+ * Raised instead of running a tool while its runtime's circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, circuitBreaker) {
+    const retryInMs = Math.max(0, circuitBreaker.lastFailure + circuitBreaker.resetTimeout - Date.now());
+    super(
+      `${name} circuit breaker is open after ${circuitBreaker.failures} runtime failures; ` +
+        `retrying in ${Math.ceil(retryInMs / 1000)}s (see mcp_circuit_status, mcp_reset_circuit)`,
+    );
+    this.name = "CircuitOpenError";
+    this.code = ErrorCode.CIRCUIT_OPEN;
+    this.runtime = name;
+  }
+}
+
+// A result envelope that failed because of the runtime, thrown so it can be
+// retried or handed to the next runtime
+export class RuntimeFailure extends Error {
+  constructor(result) {
+    super(result.error.message);
+    this.result = result;
+  }
+}
+
+/**
+ * Whether a thrown error or result envelope means the runtime itself is unwell:
+ * its binary would not start, or its daemon could not be reached. Anything
+ * else (a bad request, a timeout, a bug of ours) is neither retried nor counted.
+ */
+export function isRuntimeFailure(outcome) {
+  if (outcome instanceof RuntimeFailure) return true;
+  if (outcome instanceof Deno.errors.NotFound || outcome instanceof Deno.errors.PermissionDenied) return true;
+  return (outcome instanceof Error ? outcome.code : outcome?.error?.code) === ErrorCode.DAEMON_UNREACHABLE;
+}
+
 /**
  * Resilient Adapter Wrapper
- * Wraps any adapter with circuit breaker, caching, retry, and metrics
+ * Wraps an adapter module (see adapters/) with circuit breaker, caching,
+ * retry, and metrics
+ *
+ * Only runtime failures trip the breaker and are retried: a missing
+ * container or a bad argument is an answer, not an outage.
  */
 export class ResilientAdapter {
   constructor(adapter, options = {}) {
@@ -413,10 +506,23 @@ export class ResilientAdapter {
     }
   }
 
-  async execute(toolName, args, options = {}) {
+  /**
+   * Run one of the adapter's tools
+   *
+   * @param {string} toolName - e.g. nerdctl_ps
+   * @param {Object} args - Validated tool params
+   * @param {Object} [call] - Call context handed to the tool's handler
+   * @param {Object} [options]
+   * @param {boolean} [options.retry] - Retry runtime failures (idempotent reads only)
+   * @param {boolean} [options.cacheable] - Serve from and store into the cache
+   * @param {number} [options.ttl] - Cache TTL in ms
+   * @param {string[]} [options.tags] - Cache tags for the result
+   * @returns {Promise<Object>} The tool's result envelope, with `cached: true` when served from the cache
+   */
+  async execute(toolName, args, call, options = {}) {
     const startTime = Date.now();
     const cacheKey = options.cacheKey || `${toolName}:${JSON.stringify(args)}`;
-    const cacheable = options.cacheable !== false;
+    const cacheable = options.cacheable === true;
 
     // Check cache first
     if (cacheable) {
@@ -427,62 +533,74 @@ export class ResilientAdapter {
           cached: true,
           responseTime: Date.now() - startTime,
         });
-        return cached;
+        return { ...cached, cached: true };
       }
     }
 
     // Check circuit breaker
     if (!this.circuitBreaker.shouldAllow()) {
-      const error = new Error(`Circuit breaker open for ${this.name}`);
+      const error = new CircuitOpenError(this.name, this.circuitBreaker);
       this.metrics.recordError(error);
       throw error;
     }
 
+    const tool = this.adapter.tools[toolName];
+    const attempt = async () => {
+      const result = await tool.handler(args, call);
+      if (isRuntimeFailure(result)) throw new RuntimeFailure(result);
+      return result;
+    };
+
+    let result;
     try {
       // Execute with retry
-      const result = await retryWithBackoff(
-        () => this.adapter.handleToolCall(toolName, args),
-        this.retryOptions
-      );
-
-      this.circuitBreaker.recordSuccess();
-
-      // Cache successful result
-      if (cacheable && result.TAG === "Ok") {
-        this.cache.set(cacheKey, result, options.ttl);
-      }
-
-      this.metrics.recordCall(this.name, {
-        success: result.TAG === "Ok",
-        cached: false,
-        responseTime: Date.now() - startTime,
+      result = await retryWithBackoff(attempt, {
+        ...this.retryOptions,
+        maxAttempts: options.retry ? this.retryOptions.maxAttempts : 1,
+        shouldRetry: (error) => isRuntimeFailure(error) && !call?.signal?.aborted,
       });
-
-      return result;
     } catch (error) {
-      this.circuitBreaker.recordFailure();
+      if (isRuntimeFailure(error)) this.circuitBreaker.recordFailure();
       this.metrics.recordError(error);
       this.metrics.recordCall(this.name, {
         success: false,
         cached: false,
         responseTime: Date.now() - startTime,
       });
+      if (error instanceof RuntimeFailure) return error.result;
       throw error;
     }
+
+    this.circuitBreaker.recordSuccess();
+    const success = result?.success !== false;
+
+    // Cache successful result
+    if (cacheable && success) {
+      this.cache.set(cacheKey, result, options.ttl, options.tags);
+    }
+
+    this.metrics.recordCall(this.name, {
+      success,
+      cached: false,
+      responseTime: Date.now() - startTime,
+    });
+
+    return result;
   }
 }
 
 /**
- * Create diagnostic MCP tools
+ * Create diagnostic MCP tools, in the adapter tool format
  */
 export function createDiagnosticTools(components) {
   const { healthChecker, metrics, caches, circuitBreakers } = components;
+  const names = Object.keys(circuitBreakers || {});
 
   return {
     mcp_health_check: {
-      name: "mcp_health_check",
       description: "Get health status of all adapters and connections",
-      inputSchema: { type: "object", properties: {} },
+      effect: "read",
+      params: {},
       handler: async () => {
         if (healthChecker) {
           return await healthChecker.runAllChecks();
@@ -492,10 +610,10 @@ export function createDiagnosticTools(components) {
     },
 
     mcp_metrics: {
-      name: "mcp_metrics",
       description: "Get performance metrics and statistics",
-      inputSchema: { type: "object", properties: {} },
-      handler: async () => {
+      effect: "read",
+      params: {},
+      handler: () => {
         if (metrics) {
           return metrics.getReport();
         }
@@ -504,10 +622,10 @@ export function createDiagnosticTools(components) {
     },
 
     mcp_cache_stats: {
-      name: "mcp_cache_stats",
       description: "Get cache statistics and hit rates",
-      inputSchema: { type: "object", properties: {} },
-      handler: async () => {
+      effect: "read",
+      params: {},
+      handler: () => {
         const stats = {};
         if (caches) {
           for (const [name, cache] of Object.entries(caches)) {
@@ -519,10 +637,10 @@ export function createDiagnosticTools(components) {
     },
 
     mcp_circuit_status: {
-      name: "mcp_circuit_status",
       description: "Get circuit breaker states for all adapters",
-      inputSchema: { type: "object", properties: {} },
-      handler: async () => {
+      effect: "read",
+      params: {},
+      handler: () => {
         const status = {};
         if (circuitBreakers) {
           for (const [name, cb] of Object.entries(circuitBreakers)) {
@@ -534,15 +652,12 @@ export function createDiagnosticTools(components) {
     },
 
     mcp_clear_cache: {
-      name: "mcp_clear_cache",
       description: "Clear the response cache",
-      inputSchema: {
-        type: "object",
-        properties: {
-          adapter: { type: "string", description: "Optional: specific adapter cache to clear" },
-        },
+      effect: "idempotent",
+      params: {
+        adapter: { type: "string", enum: Object.keys(caches || {}), description: "Optional: specific adapter cache to clear" },
       },
-      handler: async (args) => {
+      handler: (args) => {
         if (!caches) return { success: false, message: "No caches configured" };
 
         if (args.adapter && caches[args.adapter]) {
@@ -558,16 +673,12 @@ export function createDiagnosticTools(components) {
     },
 
     mcp_reset_circuit: {
-      name: "mcp_reset_circuit",
       description: "Reset a circuit breaker to closed state",
-      inputSchema: {
-        type: "object",
-        properties: {
-          adapter: { type: "string", description: "Adapter name to reset" },
-        },
-        required: ["adapter"],
+      effect: "idempotent",
+      params: {
+        adapter: { type: "string", enum: names, required: true, description: "Adapter name to reset" },
       },
-      handler: async (args) => {
+      handler: (args) => {
         if (!circuitBreakers || !circuitBreakers[args.adapter]) {
           return { success: false, message: `Unknown adapter: ${args.adapter}` };
         }
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Tool Result Envelope
+ * The shape every adapter tool returns, whatever the runtime
+ *
+ * @typedef {Object} ExecResult
+ * @property {number} code - Process exit code
+ * @property {string} stdout
+ * @property {string} stderr
+ * @property {string[]} argv - Full command line, binary first
+ * @property {number} durationMs - Wall-clock time of the runtime process
+ *
+ * @typedef {Object} ToolResult
+ * @property {boolean} success - exitCode === 0
+ * @property {number} exitCode
+ * @property {string} [stdout] - Raw output, for tools that do not parse it (or when they failed)
+ * @property {*} [parsed] - Structured output, for tools that parse it
+ * @property {string} stderr
+ * @property {number} durationMs
+ * @property {string} runtime - nerdctl, podman or docker
+ * @property {string[]} argv
+ * @property {{ code: string, message: string }} [error] - Present when success is false
+ */
+
+/**
+ * Stable error codes, safe to branch on
+ */
+export const ErrorCode = Object.freeze({
+  IMAGE_NOT_FOUND: "IMAGE_NOT_FOUND",
+  CONTAINER_NOT_FOUND: "CONTAINER_NOT_FOUND",
+  NAME_CONFLICT: "NAME_CONFLICT",
+  PERMISSION_DENIED: "PERMISSION_DENIED",
+  DAEMON_UNREACHABLE: "DAEMON_UNREACHABLE",
+  COMMAND_FAILED: "COMMAND_FAILED",
+  // Stopped by the caller (MCP cancellation or container_job_cancel)
+  CANCELLED: "CANCELLED",
+  // Still running when the call's own time limit ran out (wait)
+  TIMEOUT: "TIMEOUT",
+  // Refused without running: the runtime failed repeatedly (see mcp_circuit_status)
+  CIRCUIT_OPEN: "CIRCUIT_OPEN",
+  // Destructive call held until confirmed (see lib/confirm.js): repeat it with the confirmationId
+  CONFIRMATION_REQUIRED: "CONFIRMATION_REQUIRED",
+  // Refused by the policy file (see lib/policy.js); the error names the rule
+  POLICY_DENIED: "POLICY_DENIED",
+  // Refused before anything was spawned
+  INVALID_PARAMS: "INVALID_PARAMS",
+  INVALID_ARGUMENT: "INVALID_ARGUMENT",
+});
+
+// Checked in order: the first matching pattern wins
+const CLASSIFIERS = [
+  [
+    ErrorCode.IMAGE_NOT_FOUND,
+    /unable to find image|no such image|image not known|manifest unknown|repository does not exist|pull access denied|failed to resolve reference|image .* not found/i,
+  ],
+  [
+    ErrorCode.CONTAINER_NOT_FOUND,
+    /no such container|no container with name or id|container .* not found/i,
+  ],
+  [
+    ErrorCode.NAME_CONFLICT,
+    /is already in use|already exists|name .* is reserved/i,
+  ],
+  [
+    ErrorCode.PERMISSION_DENIED,
+    /permission denied|operation not permitted|access denied|unauthorized|requires root/i,
+  ],
+  [
+    ErrorCode.DAEMON_UNREACHABLE,
+    /cannot connect to the docker daemon|is the docker daemon running|unable to connect to podman|cannot connect to podman|connection refused|failed to dial|no such file or directory.*\.sock|\.sock.*no such file or directory/i,
+  ],
+];
+
+/**
+ * Map runtime stderr onto an ErrorCode (COMMAND_FAILED when nothing matches)
+ */
+export function classifyError(stderr) {
+  const text = String(stderr || "");
+  const match = CLASSIFIERS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : ErrorCode.COMMAND_FAILED;
+}
+
+/**
+ * Wrap an exec result in the common envelope
+ *
+ * @param {string} runtime - Adapter name
+ * @param {ExecResult} result - From the adapter's exec()
+ * @param {Function} [parse] - (stdout) => parsed output, only called on success
+ * @returns {ToolResult}
+ */
+export function toolResult(runtime, result, parse) {
+  const success = result.code === 0;
+  const envelope = {
+    success,
+    exitCode: result.code,
+  };
+
+  if (success && parse) {
+    envelope.parsed = parse(result.stdout);
+  } else {
+    envelope.stdout = result.stdout;
+  }
+
+  envelope.stderr = result.stderr;
+  envelope.durationMs = result.durationMs;
+  envelope.runtime = runtime;
+  envelope.argv = result.argv;
+
+  if (!success) {
+    envelope.error = {
+      code: classifyError(result.stderr),
+      message: result.stderr.trim() || `${runtime} exited with code ${result.code}`,
+    };
+  }
+
+  return envelope;
+}
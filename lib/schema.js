@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Tool Parameter Schemas
+ * Converts adapter param definitions into Zod schemas, and those into the
+ * JSON Schema MCP clients see in `tools/list`
+ *
+ * Param definition format:
+ *
+ *   {
+ *     type: "string" | "number" | "integer" | "boolean" | "array" | "object",
+ *     description: "Shown to MCP clients",
+ *     required: true,             // optional, defaults to false
+ *     default: value,             // optional, applied when omitted
+ *     enum: ["a", "b"],           // strings only
+ *     format: "image",            // strings, checked by lib/validate.js
+ *     minimum: 1, maximum: 65535, // numbers and integers
+ *     items: { ...param },        // arrays
+ *     minItems: 1,                // arrays
+ *     properties: { key: param }, // objects with known keys
+ *     additionalProperties: { ...param }, // objects used as maps (env, labels)
+ *     anyOf: [{ ...param }, ...], // alternatives, e.g. argv array or string
+ *     secret: true,               // optional: masked in results, errors and logs (lib/redact.js)
+ *     hostPath: true,             // optional: a host file or directory the runtime reads or writes (policy mounts.hostPaths);
+ *                                 // "copy" when a `container:path` value names the container's side instead (cp)
+ *   }
+ *
+ * Tools also declare what a call does, which drives retries, caching and
+ * the MCP tool annotations:
+ *
+ *   {
+ *     effect: "read" | "idempotent" | "mutating", // defaults to "mutating"
+ *     destructive: true,          // optional: removes containers, images, data
+ *     cache: false,               // optional: reads whose answer changes by the second (logs, stats)
+ *     resources: ["containers"],  // what a read shows or a change affects: containers, images, networks, volumes
+ *     hostMounts: { nested: [...] }, // optional: host paths a boolean param makes the tool bind-mount (policy mounts.hostPaths)
+ *     fromFile: true,             // optional: runs what a file describes (compose), which the policy cannot look into
+ *   }
+ */
+
+import { z } from "zod";
+import { toJsonSchemaCompat } from "@modelcontextprotocol/sdk/server/zod-json-schema-compat.js";
+
+function baseSchema(param) {
+  if (param.anyOf) {
+    const [first, second, ...rest] = param.anyOf.map((alt) => paramToZod({ ...alt, required: true }));
+    return second ? z.union([first, second, ...rest]) : first;
+  }
+
+  switch (param.type) {
+    case "number":
+    case "integer": {
+      let schema = param.type === "integer" ? z.number().int() : z.number();
+      if (param.minimum !== undefined) schema = schema.min(param.minimum);
+      if (param.maximum !== undefined) schema = schema.max(param.maximum);
+      return schema;
+    }
+    case "boolean":
+      return z.boolean();
+    case "array": {
+      const schema = z.array(paramToZod({ type: "string", ...param.items, required: true }));
+      return param.minItems ? schema.min(param.minItems) : schema;
+    }
+    case "object":
+      if (param.properties) {
+        return buildSchema(param.properties).strict();
+      }
+      return z.record(paramToZod({ type: "string", ...param.additionalProperties, required: true }));
+    case "string":
+    default:
+      return param.enum ? z.enum(param.enum) : z.string();
+  }
+}
+
+/**
+ * Convert adapter param definition to Zod schema
+ */
+export function paramToZod(param) {
+  let schema = baseSchema(param);
+
+  if (param.default !== undefined) {
+    schema = schema.default(param.default);
+  } else if (!param.required) {
+    schema = schema.optional();
+  }
+
+  return param.description ? schema.describe(param.description) : schema;
+}
+
+/**
+ * Build Zod schema from adapter tool params
+ */
+export function buildSchema(params) {
+  const shape = {};
+  for (const [key, param] of Object.entries(params)) {
+    shape[key] = paramToZod(param);
+  }
+  return z.object(shape);
+}
+
+/**
+ * Build a tool's JSON Schema inputSchema from adapter tool params
+ *
+ * Uses the SDK's own converter with the options McpServer applies, so
+ * `tools/list` matches what an SDK-registered tool would advertise.
+ */
+export function toJsonSchema(params) {
+  return toJsonSchemaCompat(buildSchema(params), {
+    strictUnions: true,
+    pipeStrategy: "input",
+  });
+}
+
+/**
+ * Build a tool's MCP annotations from its `effect` and `destructive` flags
+ */
+export function toAnnotations({ effect = "mutating", destructive = false }) {
+  return {
+    readOnlyHint: effect === "read",
+    destructiveHint: effect !== "read" && destructive,
+    idempotentHint: effect !== "mutating",
+  };
+}
+
@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Command Parsing
+ * Turns the `command` parameter of run/exec tools into an argv array
+ *
+ * Accepts either an argv array (native or as a JSON string) or a string split
+ * with POSIX shell-word rules: single quotes are literal, double quotes allow
+ * `\` escapes of `$ ` " \` and newline, and a backslash outside quotes escapes
+ * the next character. Nothing is expanded: `$VAR`, globs and `~` reach the
+ * container verbatim, which is what the container's own shell expects when
+ * the command is `sh -c "..."`.
+ */
+
+import { ArgumentError, toArg } from "./argv.js";
+
+const DOUBLE_QUOTE_ESCAPES = ["$", "`", '"', "\\", "\n"];
+
+/**
+ * Split a string into words using POSIX shell quoting rules
+ */
+export function splitShellWords(text, field = "command") {
+  const words = [];
+  let word = "";
+  let inWord = false;
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+      continue;
+    }
+
+    if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === "\\" && DOUBLE_QUOTE_ESCAPES.includes(text[i + 1])) {
+        i++;
+        if (text[i] !== "\n") word += text[i];
+      } else {
+        word += char;
+      }
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char;
+      inWord = true;
+    } else if (char === "\\") {
+      if (i + 1 >= text.length) {
+        throw new ArgumentError(field, text, "ends with an unescaped backslash");
+      }
+      i++;
+      // Backslash-newline is a line continuation
+      if (text[i] !== "\n") {
+        word += text[i];
+        inWord = true;
+      }
+    } else if (/\s/.test(char)) {
+      if (inWord) {
+        words.push(word);
+        word = "";
+        inWord = false;
+      }
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) {
+    throw new ArgumentError(field, text, `has an unterminated ${quote === "'" ? "single" : "double"} quote`);
+  }
+  if (inWord) words.push(word);
+  return words;
+}
+
+/**
+ * Parse a command given as an argv array, a JSON array string or a shell-style string
+ *
+ * @returns {string[]} argv (empty when no command was given)
+ */
+export function parseCommand(command, field = "command") {
+  if (command === undefined || command === null || command === "") return [];
+
+  if (Array.isArray(command)) {
+    return command.map((arg) => toArg(arg, field));
+  }
+
+  const text = String(command);
+  if (text.trim().startsWith("[")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON: treat as a shell-style string below
+    }
+    if (Array.isArray(parsed)) {
+      return parsed.map((arg) => toArg(arg, field));
+    }
+  }
+
+  return splitShellWords(text, field).map((arg) => toArg(arg, field));
+}
@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Streaming Execution
+ * Runs a runtime CLI and hands each output line over as it arrives: commands
+ * that never exit on their own (logs -f) and long operations that report
+ * progress (build, pull)
+ *
+ * A run ends when the process exits, when the call's AbortSignal fires
+ * (MCP cancellation, container_logs_cancel, container_job_cancel) or when
+ * its timeout elapses; `stoppedBy` records which. For a follow, stopping it
+ * ourselves is a normal end and reports exit code 0.
+ */
+
+import { ArgumentError } from "./argv.js";
+import { planned } from "./plan.js";
+import { ErrorCode } from "./result.js";
+
+// Lines of stderr kept for the result envelope (error classification)
+const STDERR_TAIL_LINES = 50;
+
+/**
+ * Build a line predicate from an optional `grep` regular expression
+ *
+ * @param {string} [pattern]
+ * @returns {(line: string) => boolean}
+ */
+export function lineFilter(pattern) {
+  if (pattern === undefined || pattern === "") return () => true;
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch (err) {
+    throw new ArgumentError("grep", pattern, `is not a valid regular expression (${err.message})`);
+  }
+  return (line) => regex.test(line);
+}
+
+/**
+ * Keep only the lines of `text` accepted by `match` (from lineFilter)
+ */
+export function filterLines(text, match) {
+  return text.split("\n").filter(match).join("\n");
+}
+
+async function pumpLines(readable, onLine) {
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for await (const chunk of readable) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    for (const line of lines) onLine(line.replace(/\r$/, ""));
+  }
+  buffered += decoder.decode();
+  if (buffered !== "") onLine(buffered);
+}
+
+/**
+ * Spawn `binary` and call `onLine` for every stdout and stderr line
+ *
+ * @param {string} binary
+ * @param {string[]} args
+ * @param {Object} options
+ * @param {(line: string, stream: "stdout" | "stderr") => void} options.onLine
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.timeoutMs]
+ * @param {boolean} [options.collect] - Also keep all output for the result (otherwise only a stderr tail)
+ * @param {boolean} [options.unref] - Do not keep the server running for this process; it is killed on exit
+ * @returns {Promise<Object>} ExecResult (see lib/result.js) plus `stoppedBy`
+ */
+export async function streamLines(binary, args, { onLine, signal, timeoutMs, collect = false, unref = false } = {}) {
+  // Dry run: record the command instead (see lib/plan.js)
+  const plan = planned(binary, args);
+  if (plan) return { ...plan, stoppedBy: "exit" };
+
+  const started = performance.now();
+  const child = new Deno.Command(binary, { args, stdout: "piped", stderr: "piped" }).spawn();
+
+  const onUnload = () => {
+    try {
+      child.kill("SIGTERM");
+    } catch {
+      // Already exited
+    }
+  };
+  if (unref) {
+    child.unref();
+    globalThis.addEventListener("unload", onUnload);
+  }
+
+  let stoppedBy = "exit";
+  const stop = (reason) => {
+    if (stoppedBy !== "exit") return;
+    stoppedBy = reason;
+    try {
+      child.kill("SIGTERM");
+    } catch {
+      // Already exited
+    }
+  };
+
+  const onAbort = () => stop("cancelled");
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = timeoutMs ? setTimeout(() => stop("timeout"), timeoutMs) : undefined;
+
+  const stdoutLines = [];
+  const stderrLines = [];
+  try {
+    await Promise.all([
+      pumpLines(child.stdout, (line) => {
+        if (collect) stdoutLines.push(line);
+        onLine(line, "stdout");
+      }),
+      pumpLines(child.stderr, (line) => {
+        stderrLines.push(line);
+        if (!collect && stderrLines.length > STDERR_TAIL_LINES) stderrLines.shift();
+        onLine(line, "stderr");
+      }),
+    ]);
+    const status = await child.status;
+
+    return {
+      stdout: stdoutLines.join("\n"),
+      stderr: stderrLines.join("\n"),
+      code: status.code,
+      argv: [binary, ...args],
+      durationMs: Math.round(performance.now() - started),
+      stoppedBy,
+    };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+    globalThis.removeEventListener("unload", onUnload);
+  }
+}
+
+/**
+ * Run a command that ends by itself (wait) under the call's AbortSignal and
+ * a time limit, and name the error when it had to be stopped
+ *
+ * @param {(options: Object) => Promise<Object>} run - Starts streamLines() with the given options
+ * @param {(result: Object) => Object} finish - Wraps the ExecResult in the tool's envelope
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {number} options.timeoutSeconds
+ * @returns {Promise<Object>} The envelope, with a TIMEOUT or CANCELLED error if stopped
+ */
+export async function runUntilExit(run, finish, { signal, timeoutSeconds }) {
+  const result = await run({ signal, timeoutMs: timeoutSeconds * 1000, collect: true, onLine: () => {} });
+  const envelope = finish(result);
+  if (result.stoppedBy === "timeout") {
+    envelope.error = { code: ErrorCode.TIMEOUT, message: `Still running after ${timeoutSeconds}s` };
+  } else if (result.stoppedBy === "cancelled") {
+    envelope.error = { code: ErrorCode.CANCELLED, message: "Cancelled before the command finished" };
+  }
+  return envelope;
+}
+
+/**
+ * Follow a streaming command on behalf of a tool call
+ *
+ * Registers the call as a cancellable stream, emits a `started` event naming
+ * it, then one event per line accepted by `match` (or per payload built by
+ * `entry`).
+ *
+ * @param {Object} call - Call context from lib/core.js
+ * @param {Object} info - Describes the stream, e.g. { container }
+ * @param {(options: Object) => Promise<Object>} run - Starts streamLines() with the given options
+ * @param {Object} [options]
+ * @param {(line: string) => boolean} [options.match] - From lineFilter()
+ * @param {(line: string, stream: string) => Object|null} [options.entry] - Builds each event's payload
+ *   instead of `{ stream, line }`; null skips the line
+ * @param {number} [options.timeoutSeconds]
+ * @returns {Promise<Object>} ExecResult plus `streamId`, `lines` (events sent) and `stoppedBy`
+ */
+export async function followStream(call, info, run, { match = () => true, entry, timeoutSeconds } = {}) {
+  if (!call?.openStream) {
+    throw new Error("follow needs a caller that can receive notifications");
+  }
+
+  const streamId = call.openStream(info);
+  let lines = 0;
+
+  try {
+    call.emit({ streamId, event: "started", ...info });
+    const result = await run({
+      signal: call.signal,
+      timeoutMs: timeoutSeconds ? timeoutSeconds * 1000 : undefined,
+      onLine: (line, stream) => {
+        const payload = entry ? entry(line, stream) : match(line) ? { stream, line } : null;
+        if (!payload) return;
+        lines++;
+        call.emit({ streamId, ...payload });
+      },
+    });
+    // Stopping a follow ourselves is a normal end
+    return { ...result, code: result.stoppedBy === "exit" ? result.code : 0, streamId, lines };
+  } finally {
+    call.closeStream(streamId);
+  }
+}
@@ -0,0 +1,234 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Unified Container Tools
+ * Runtime-agnostic container_* tools that resolve the runtime at call time
+ *
+ * Each tool delegates to the matching `<runtime>_<action>` adapter tool on the
+ * runtime chosen by the server (explicit preference, then FOSS-first), and
+ * wraps the adapter result so callers always see which runtime served it.
+ * Delegation goes through the core's `runTool`, so unified calls share the
+ * runtime's circuit breaker, retries, cache and metrics.
+ *
+ * Runtime-neutral reads and pulls can opt into failover: when the chosen
+ * runtime is down or its circuit is open, the call moves on to the next
+ * runtime in FOSS-first order and the result says so under `failover`.
+ */
+
+import { CircuitOpenError, FallbackExhaustedError, FallbackRegistry, isRuntimeFailure, RuntimeFailure } from "./resilience.js";
+
+// Runtime-neutral actions exposed as container_<action>
+const UNIFIED_ACTIONS = {
+  // Containers
+  run: "Run a new container",
+  create: "Create a container without starting it",
+  ps: "List containers",
+  stop: "Stop one or more containers",
+  start: "Start one or more stopped containers",
+  restart: "Restart one or more containers",
+  kill: "Send a signal to one or more running containers",
+  pause: "Pause all processes in one or more containers",
+  unpause: "Resume all processes in one or more paused containers",
+  wait: "Block until a container exits and return its exit code",
+  rm: "Remove one or more containers",
+  logs: "Fetch logs of a container",
+  exec: "Execute a command in a running container",
+  inspect: "Return low-level information on containers or images",
+  cp: "Copy files between container and local filesystem",
+  stats: "Display container resource usage statistics",
+  top: "List the processes running in a container",
+  port: "List a container's published ports",
+  diff: "List files added, changed or deleted in a container's filesystem",
+  export: "Export a container's filesystem as a tar archive",
+
+  // Images
+  images: "List images",
+  pull: "Pull an image from a registry",
+  push: "Push an image to a registry",
+  build: "Build an image from a Containerfile/Dockerfile",
+  tag: "Create a tag for an image",
+  rmi: "Remove one or more images",
+  image_history: "Show the layers of an image",
+  login: "Log in to a container registry (the password is passed on stdin)",
+  logout: "Log out from a container registry",
+
+  // Networks and volumes
+  network_ls: "List networks",
+  volume_ls: "List volumes",
+
+  // System
+  info: "Display system-wide information",
+  events: "List runtime events, or subscribe to container lifecycle events",
+};
+
+// Order used when merging per-runtime param definitions (FOSS-first)
+const RUNTIME_ORDER = ["nerdctl", "podman", "docker"];
+
+// Actions whose answer does not depend on which runtime gives it
+const FAILOVER_ACTIONS = new Set(["ps", "images", "inspect", "pull"]);
+
+/**
+ * Merge the param definitions of every runtime's tool for an action.
+ * Earlier runtimes win when the same param is described more than once.
+ * A default is kept only when every runtime has it, so a call is not sent
+ * a param its runtime does not know (the runtime tool fills in its own).
+ */
+function mergeParams(adapters, action) {
+  const params = {};
+  const tools = RUNTIME_ORDER.map((name) => adapters[name]?.tools[`${name}_${action}`]).filter(Boolean);
+  for (const tool of tools) {
+    for (const [key, def] of Object.entries(tool.params)) {
+      if (params[key]) continue;
+      const shared = tools.every((other) => other.params[key]?.default === def.default);
+      if (def.default === undefined || shared) {
+        params[key] = def;
+      } else {
+        const { default: _default, ...rest } = def;
+        params[key] = rest;
+      }
+    }
+  }
+  return params;
+}
+
+/**
+ * What an action does, from the first runtime that has a tool for it
+ */
+function actionEffect(adapters, action) {
+  for (const name of RUNTIME_ORDER) {
+    const tool = adapters[name]?.tools[`${name}_${action}`];
+    if (tool) return { effect: tool.effect, destructive: tool.destructive, cache: tool.cache };
+  }
+  return {};
+}
+
+/**
+ * Split a unified call's arguments into those the runtime's tool understands
+ * and the names of the rest
+ *
+ * @param {Object} delegate - The `<runtime>_<action>` tool
+ * @param {Object} params
+ * @returns {{ forwarded: Object, ignoredParams: string[] }}
+ */
+export function forwardParams(delegate, params) {
+  const forwarded = {};
+  const ignoredParams = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined) continue;
+    if (key in delegate.params) {
+      forwarded[key] = value;
+    } else {
+      ignoredParams.push(key);
+    }
+  }
+  return { forwarded, ignoredParams };
+}
+
+/**
+ * Create the unified tool definitions
+ *
+ * @param {Object} adapters - Adapter modules keyed by runtime name
+ * @param {Object} runtime - Runtime selection and dispatch, from lib/core.js
+ * @param {Function} runtime.resolveAdapter - async (runtime?) => connected adapter module
+ * @param {Function} runtime.runTool - async (runtime, toolName, params, call) => result envelope
+ * @param {Function} runtime.failoverOrder - (runtime?) => runtime names to try, chosen one first
+ * @param {boolean} [runtime.failover] - Default for the `failover` param
+ * @returns {Object} Tools in the same shape as adapter `tools`
+ */
+export function createUnifiedTools(adapters, { resolveAdapter, runTool, failoverOrder, failover = false }) {
+  const tools = {};
+
+  for (const [action, description] of Object.entries(UNIFIED_ACTIONS)) {
+    const toolName = `container_${action}`;
+
+    // Run the action on one runtime
+    const delegateTo = async (adapter, params, call) => {
+      const delegateName = `${adapter.name}_${action}`;
+      const delegate = adapter.tools[delegateName];
+      if (!delegate) {
+        throw new Error(`${adapter.name} does not support ${toolName}`);
+      }
+
+      const { forwarded, ignoredParams } = forwardParams(delegate, params);
+
+      // The delegate's result envelope already names the runtime
+      const result = await runTool(adapter.name, delegateName, forwarded, call);
+      return {
+        ...result,
+        tool: delegateName,
+        ignoredParams: ignoredParams.length > 0 ? ignoredParams : undefined,
+      };
+    };
+
+    // Try each runtime in turn while the failures are the runtime's own
+    const withFailover = async (runtime, params, call) => {
+      const order = failoverOrder(runtime);
+      if (order.length === 0) {
+        // Nothing connected: let resolveAdapter explain
+        return await delegateTo(await resolveAdapter(runtime), params, call);
+      }
+
+      const registry = new FallbackRegistry();
+      order.forEach((name, priority) => {
+        registry.register(name, priority, () => true, async () => {
+          const result = await delegateTo(await resolveAdapter(name), params, call);
+          if (isRuntimeFailure(result)) throw new RuntimeFailure(result);
+          return result;
+        });
+      });
+
+      const report = (failures, servedBy) => ({
+        requested: failures[0].name,
+        servedBy,
+        failures: failures.map(({ name, error }) => ({
+          runtime: name,
+          code: error.result?.error.code ?? error.code,
+          message: error.message,
+        })),
+      });
+
+      try {
+        const { name, value, failures } = await registry.execute(params, {
+          shouldFallback: (error) =>
+            (isRuntimeFailure(error) || error instanceof CircuitOpenError) && !call?.signal?.aborted,
+        });
+        return failures.length > 0 ? { ...value, failover: report(failures, name) } : value;
+      } catch (error) {
+        // Every runtime failed: answer with the last runtime's own envelope
+        const last = error instanceof FallbackExhaustedError ? error.failures.at(-1)?.error : error;
+        if (last instanceof RuntimeFailure) {
+          return { ...last.result, failover: report(error.failures, null) };
+        }
+        throw error;
+      }
+    };
+
+    tools[toolName] = {
+      description: `${description} (uses the preferred runtime)`,
+      ...actionEffect(adapters, action),
+      params: {
+        ...mergeParams(adapters, action),
+        runtime: {
+          type: "string",
+          description: "Override the runtime for this call (nerdctl, podman, docker)",
+        },
+        ...(FAILOVER_ACTIONS.has(action) && {
+          failover: {
+            type: "boolean",
+            description:
+              `Fall back to the next runtime (FOSS-first) if this one is down or its circuit is open (default ${failover}, set by CONTAINER_FAILOVER)`,
+          },
+        }),
+      },
+      handler: async ({ runtime, failover: failoverParam = failover, ...params }, call) => {
+        if (FAILOVER_ACTIONS.has(action) && failoverParam) {
+          return await withFailover(runtime, params, call);
+        }
+        return await delegateTo(await resolveAdapter(runtime), params, call);
+      },
+    };
+  }
+
+  return tools;
+}
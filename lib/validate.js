@@ -0,0 +1,214 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * Parameter Validation
+ * Checks tool arguments against their param definitions before any CLI is spawned
+ *
+ * Every problem is collected, not just the first, and reported through a
+ * ValidationError whose `errors` list names each bad field. Besides the
+ * structural checks (required, type, enum, ranges, item counts) a string
+ * param may declare a `format`:
+ *
+ *   image        - image reference: [registry[:port]/]path[:tag][@digest]
+ *   name         - container, network or volume name (or ID)
+ *   absolutePath - absolute path, e.g. a mount target inside the container
+ *   mountSource  - absolute host path or named volume
+ *   signal       - signal name or number: KILL, SIGTERM, SIGRTMIN+3, 9
+ *   byteSize     - size with an optional b, k, m or g suffix: 512m, 2g, 1048576
+ */
+
+import { ErrorCode } from "./result.js";
+
+// ============================================================================
+// Formats
+// ============================================================================
+
+const DOMAIN = String.raw`(?:localhost|[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)+|[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?=:\d))(?::\d+)?`;
+const PATH_COMPONENT = String.raw`[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*`;
+const TAG = String.raw`[\w][\w.-]{0,127}`;
+const DIGEST = String.raw`[A-Za-z][A-Za-z0-9]*(?:[-_+.][A-Za-z][A-Za-z0-9]*)*:[0-9a-fA-F]{32,}`;
+
+const IMAGE_REFERENCE = new RegExp(
+  `^(?:${DOMAIN}/)?${PATH_COMPONENT}(?:/${PATH_COMPONENT})*(?::${TAG})?(?:@${DIGEST})?$`,
+);
+const OBJECT_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+const SIGNAL = /^(?:(?:SIG)?[A-Z][A-Z0-9]*(?:[+-]\d+)?|\d{1,2})$/;
+const BYTE_SIZE = /^\d+(?:\.\d+)?[bkmg]?$/i;
+
+const FORMATS = {
+  image: {
+    test: (value) => IMAGE_REFERENCE.test(value),
+    message: "is not a valid image reference (expected [registry/]name[:tag][@digest], lowercase name)",
+  },
+  name: {
+    test: (value) => OBJECT_NAME.test(value),
+    message: "is not a valid name (letters, digits, '_', '.' and '-', starting with a letter or digit)",
+  },
+  absolutePath: {
+    test: (value) => value.startsWith("/"),
+    message: "must be an absolute path",
+  },
+  mountSource: {
+    test: (value) => value.startsWith("/") || OBJECT_NAME.test(value),
+    message: "must be an absolute host path or a volume name",
+  },
+  signal: {
+    test: (value) => SIGNAL.test(value),
+    message: "is not a valid signal (a name such as KILL or SIGTERM, or a number)",
+  },
+  timestamp: {
+    test: (value) => !Number.isNaN(Date.parse(value)),
+    message: "is not a valid time (ISO 8601, e.g. 2025-10-18T12:00:00Z)",
+  },
+  byteSize: {
+    test: (value) => BYTE_SIZE.test(value),
+    message: "is not a valid size (a number with an optional b, k, m or g suffix, e.g. 512m)",
+  },
+};
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Raised when tool arguments do not match the tool's param definitions
+ *
+ * @property {{ field: string, message: string }[]} errors - One entry per bad field
+ */
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid parameters: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    this.name = "ValidationError";
+    this.code = ErrorCode.INVALID_PARAMS;
+    this.errors = errors;
+  }
+}
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+function typeName(param) {
+  return param.anyOf ? param.anyOf.map(typeName).join(" or ") : param.type || "string";
+}
+
+function checkValue(param, value, field, errors) {
+  const fail = (message) => errors.push({ field, message });
+
+  if (param.anyOf) {
+    const matches = param.anyOf.some((alt) => {
+      const altErrors = [];
+      checkValue(alt, value, field, altErrors);
+      return altErrors.length === 0;
+    });
+    if (!matches) fail(`must be ${typeName(param)}`);
+    return;
+  }
+
+  switch (param.type) {
+    case "number":
+    case "integer":
+      if (typeof value !== "number" || !Number.isFinite(value)) return fail(`must be a ${param.type}`);
+      if (param.type === "integer" && !Number.isInteger(value)) return fail("must be an integer");
+      if (param.minimum !== undefined && value < param.minimum) return fail(`must be at least ${param.minimum}`);
+      if (param.maximum !== undefined && value > param.maximum) return fail(`must be at most ${param.maximum}`);
+      return;
+
+    case "boolean":
+      if (typeof value !== "boolean") fail("must be a boolean");
+      return;
+
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (param.minItems && value.length < param.minItems) {
+        return fail(`must contain at least ${param.minItems} item${param.minItems === 1 ? "" : "s"}`);
+      }
+      value.forEach((item, i) => checkValue(param.items || { type: "string" }, item, `${field}[${i}]`, errors));
+      return;
+
+    case "object":
+      if (!isPlainObject(value)) return fail("must be an object");
+      if (param.properties) {
+        collectErrors(param.properties, value, `${field}.`, errors);
+        for (const key of Object.keys(value)) {
+          if (!(key in param.properties)) errors.push({ field: `${field}.${key}`, message: "is not a recognised field" });
+        }
+      } else {
+        for (const [key, entry] of Object.entries(value)) {
+          checkValue(param.additionalProperties || { type: "string" }, entry, `${field}.${key}`, errors);
+        }
+      }
+      return;
+
+    case "string":
+    default:
+      if (typeof value !== "string") return fail("must be a string");
+      if (param.enum && !param.enum.includes(value)) return fail(`must be one of: ${param.enum.join(", ")}`);
+      if (param.format && !FORMATS[param.format].test(value)) fail(FORMATS[param.format].message);
+  }
+}
+
+function collectErrors(params, values, prefix, errors) {
+  for (const [key, param] of Object.entries(params)) {
+    const value = values?.[key];
+    if (value === undefined || value === null) {
+      if (param.required && param.default === undefined) {
+        errors.push({ field: `${prefix}${key}`, message: "is required" });
+      }
+      continue;
+    }
+    checkValue(param, value, `${prefix}${key}`, errors);
+  }
+}
+
+/**
+ * `values` with every param left out set to its `default`, nested objects included
+ */
+export function applyDefaults(params, values) {
+  const filled = { ...values };
+  for (const [key, param] of Object.entries(params)) {
+    const value = filled[key];
+    if (value === undefined || value === null) {
+      if (param.default !== undefined) filled[key] = structuredClone(param.default);
+    } else if (param.properties && isPlainObject(value)) {
+      filled[key] = applyDefaults(param.properties, value);
+    } else if (param.items?.properties && Array.isArray(value)) {
+      filled[key] = value.map((item) => isPlainObject(item) ? applyDefaults(param.items.properties, item) : item);
+    }
+  }
+  return filled;
+}
+
+/**
+ * Check `values` against a tool's param definitions
+ *
+ * Arguments the tool does not declare are refused, as its advertised
+ * inputSchema (additionalProperties: false) says.
+ *
+ * @returns {{ errors: { field: string, message: string }[], values: Object }}
+ *   Every problem (empty when valid), and the values to call the tool with:
+ *   those given, plus the defaults of the params left out
+ */
+export function validateParams(params, values) {
+  const given = values || {};
+  const errors = [];
+  collectErrors(params, given, "", errors);
+  for (const key of Object.keys(given)) {
+    if (!(key in params)) errors.push({ field: key, message: "is not a recognised field" });
+  }
+  return { errors, values: applyDefaults(params, given) };
+}
+
+/**
+ * Throw a ValidationError listing every bad field, if any
+ *
+ * @returns {Object} The values with defaults filled in
+ */
+export function assertValidParams(params, values) {
+  const { errors, values: checked } = validateParams(params, values);
+  if (errors.length > 0) throw new ValidationError(errors);
+  return checked;
+}
@@ -5,7 +5,7 @@
  * Executor.res - Safe command execution for container runtimes
  *
  * Provides type-safe, secure execution of container CLI commands
- * with whitelist validation and argument sanitization.
+ * with whitelist validation and argument validation.
  */
 
 // Runtime types
@@ -21,6 +21,7 @@ type commandResult = {
 // Execution error type
 type execError =
   | CommandNotAllowed(string)
+  | ArgumentRefused(string)
   | ExecutionFailed(string)
   | RuntimeNotFound(string)
 
@@ -56,13 +57,13 @@ let getBinary = (runtime: runtime): string => {
   }
 }
 
-// Sanitize argument to prevent shell injection
-// Removes shell metacharacters
-let sanitizeArg = (arg: string): string => {
-  // Remove dangerous shell metacharacters
-  arg
-  ->Js.String2.replaceByRe(%re("/[;&|`$(){}\\[\\]<>]/g"), "")
-  ->Js.String2.trim
+// Validate an argument before execution
+// Commands run via Deno.Command without a shell, so shell metacharacters are
+// passed verbatim; only NUL bytes (which truncate arguments) are refused
+let nulByte = Js.String2.fromCharCode(0)
+
+let validateArg = (arg: string): bool => {
+  !(arg->Js.String2.includes(nulByte))
 }
 
 // Validate command is in whitelist
@@ -88,21 +89,22 @@ let exec = async (
   if !validateCommand(subcommand) {
     Error(CommandNotAllowed(subcommand))
   } else {
-    let binary = getBinary(runtime)
-
-    // Sanitize all arguments
-    let sanitizedArgs = args->Js.Array2.map(sanitizeArg)
-
-    // Build full args array
-    let fullArgs = [subcommand]->Js.Array2.concat(sanitizedArgs)
-
-    try {
-      let result = await executeCommand(binary, fullArgs)
-      Ok(result)
-    } catch {
-    | Js.Exn.Error(e) =>
-      let message = Js.Exn.message(e)->Belt.Option.getWithDefault("Unknown error")
-      Error(ExecutionFailed(message))
+    switch args->Js.Array2.find(arg => !validateArg(arg)) {
+    | Some(arg) => Error(ArgumentRefused(arg))
+    | None =>
+      let binary = getBinary(runtime)
+
+      // Build full args array (arguments are passed verbatim)
+      let fullArgs = [subcommand]->Js.Array2.concat(args)
+
+      try {
+        let result = await executeCommand(binary, fullArgs)
+        Ok(result)
+      } catch {
+      | Js.Exn.Error(e) =>
+        let message = Js.Exn.message(e)->Belt.Option.getWithDefault("Unknown error")
+        Error(ExecutionFailed(message))
+      }
     }
   }
 }
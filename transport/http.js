@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * HTTP Server
+ * Serves the server core over MCP Streamable HTTP, plus /health and /info
+ *
+ * JSON-RPC messages are answered by McpHttpAdapter, which lists and calls
+ * tools through the same core as the STDIO transport.
+ *
+ * With MCP_AUTH_FILE set, /mcp requires a bearer token (see lib/auth.js)
+ * and the server describes itself at /.well-known/oauth-protected-resource.
+ * Without it anyone who can reach the port controls the container runtime,
+ * so the server then listens on loopback only unless HOST says otherwise.
+ */
+
+import { McpHttpAdapter, StreamableHttpTransport } from "./streamable-http.js";
+import { createAuth } from "../lib/auth.js";
+import { FEEDBACK_URL } from "../lib/core.js";
+
+const LOOPBACK = new Set(["127.0.0.1", "::1", "localhost"]);
+
+/**
+ * Connect available runtimes and serve `core` over HTTP
+ *
+ * @param {Object} core - From createCore()
+ * @param {Object} [options]
+ * @param {number} [options.port] - Defaults to $PORT or 8000
+ * @param {string} [options.host] - Defaults to $HOST, else 0.0.0.0 with auth and 127.0.0.1 without
+ * @param {string} [options.authFile] - Defaults to $MCP_AUTH_FILE
+ */
+export async function serveHttp(core, options = {}) {
+  const auth = await createAuth({
+    path: options.authFile ?? Deno.env.get("MCP_AUTH_FILE"),
+    tools: core.tools,
+    endpoint: "/mcp",
+  });
+  const port = options.port ?? parseInt(Deno.env.get("PORT") || "8000");
+  const host = options.host ?? (Deno.env.get("HOST") || (auth ? "0.0.0.0" : "127.0.0.1"));
+
+  console.error(`${core.name} v${core.version} (HTTP mode)`);
+  console.error("FOSS-first: nerdctl and podman preferred over Docker");
+  if (!auth && !LOOPBACK.has(host)) {
+    console.error(`WARNING: no MCP_AUTH_FILE, so anyone who can reach ${host}:${port} controls the container runtime`);
+  }
+
+  const { connected } = await core.connectAvailable();
+  console.error(`Connected runtime(s): ${connected.join(", ") || "none"}`);
+  console.error(`Listening on http://${host}:${port}/mcp`);
+  console.error(`Feedback: ${FEEDBACK_URL}`);
+
+  const transport = new StreamableHttpTransport(null, { path: "/mcp", auth });
+  const rpc = new McpHttpAdapter(core, { auth });
+  transport.onMessage((message, context) => rpc.handleRequest(message, context));
+  transport.onClose((sessionId) => rpc.closeSession(sessionId));
+
+  const handler = (request) => {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/health") {
+      return new Response(
+        JSON.stringify({
+          status: "ok",
+          version: core.version,
+          runtimes: Object.keys(core.adapters),
+          connected: [...core.connectedAdapters.keys()],
+        }),
+        { headers: { "Content-Type": "application/json" } },
+      );
+    }
+
+    // OAuth 2.0 Protected Resource Metadata (RFC 9728): where to get a token, and which scopes exist
+    if (auth && url.pathname.startsWith("/.well-known/oauth-protected-resource")) {
+      return new Response(JSON.stringify(auth.metadata(request)), {
+        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
+      });
+    }
+
+    if (url.pathname === "/" || url.pathname === "/info") {
+      return new Response(
+        JSON.stringify({
+          name: core.name,
+          version: core.version,
+          protocol: "MCP Streamable HTTP",
+          protocolVersion: "2025-06-18",
+          endpoint: "/mcp",
+          authorization: auth ? "bearer" : "none",
+          runtimes: Object.keys(core.adapters),
+          fossPriority: "nerdctl > podman > docker",
+          documentation: "https://github.com/hyperpolymath/polyglot-container-mcp",
+        }),
+        { headers: { "Content-Type": "application/json" } },
+      );
+    }
+
+    return transport.handleRequest(request);
+  };
+
+  return Deno.serve({ port, hostname: host }, handler);
+}
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+// SPDX-FileCopyrightText: 2025 Jonathan D.A. Jewell
+
+/**
+ * STDIO Transport
+ * Serves the server core to a local MCP client over stdin/stdout
+ *
+ * `tools/list` answers from the core's registry and every call is handed
+ * straight to `core.callTool()` together with the request's cancellation
+ * signal, a way to send notifications (log follow) and, for clients that
+ * support it, a way to ask the user (MCP elicitation). Arguments are checked
+ * by the core (lib/validate.js) rather than the SDK, so a bad call gets the
+ * same INVALID_PARAMS result, with its per-field list, as over HTTP.
+ */
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { FEEDBACK_URL } from "../lib/core.js";
+
+// A person has to read what a destructive call would remove
+const ELICIT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Connect available runtimes and serve `core` over STDIO
+ *
+ * @param {Object} core - From createCore()
+ */
+export async function serveStdio(core) {
+  const server = new Server(
+    {
+      name: core.name,
+      version: core.version,
+    },
+    { capabilities: { tools: {}, logging: {} } },
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, () => ({ tools: core.getTools() }));
+
+  server.setRequestHandler(CallToolRequestSchema, ({ params: { name, arguments: args, _meta } }, extra) =>
+    core.callTool(name, args ?? {}, {
+      signal: extra.signal,
+      progressToken: _meta?.progressToken,
+      sendNotification: extra.sendNotification,
+      // One client per process, for the audit log
+      session: { id: "stdio", client: server.getClientVersion() ?? null },
+      // Destructive calls ask the person at the client, when it supports that
+      elicit: server.getClientCapabilities()?.elicitation
+        ? (params) =>
+          server.elicitInput(params, {
+            signal: extra.signal,
+            relatedRequestId: extra.requestId,
+            timeout: ELICIT_TIMEOUT_MS,
+          })
+        : undefined,
+    })
+  );
+
+  console.error(`${core.name} v${core.version} (STDIO mode)`);
+  console.error("FOSS-first: nerdctl and podman preferred over Docker");
+
+  const runtimes = await core.detectRuntimes();
+  const availableCount = Object.values(runtimes).filter((r) => r.available).length;
+  console.error(`Detected ${availableCount} available runtime(s)`);
+
+  const { connected } = await core.connectAvailable();
+  for (const [name, adapter] of Object.entries(core.adapters)) {
+    if (connected.includes(name)) {
+      console.error(`  ✓ ${name}: ${adapter.description}`);
+    } else {
+      console.error(`  ✗ ${name}: not available`);
+    }
+  }
+
+  if (core.connectedAdapters.size === 0) {
+    console.error("Warning: No container runtimes available!");
+    console.error("Install nerdctl, podman, or docker to use this server.");
+  }
+
+  console.error(
+    `Registered ${Object.keys(core.tools).length} tools (${core.connectedAdapters.size} runtime(s) connected)`,
+  );
+  console.error(`Feedback: ${FEEDBACK_URL}`);
+
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+}
@@ -17,10 +17,18 @@
  * - Request timeout protection
  * - Rate limiting
  * - Structured logging
+ * - Bearer token authorization (options.auth, see lib/auth.js)
  */
 
+import { AuthError } from "../lib/auth.js";
+import { redact } from "../lib/redact.js";
+
 const PROTOCOL_VERSION = "2025-06-18";
 
+// Notifications queued for a session's GET stream; the oldest go first
+// when a client that never reads them lets the queue grow
+const MAX_PENDING_MESSAGES = 1000;
+
 // ============================================================================
 // Logging Utility
 // ============================================================================
@@ -41,7 +49,8 @@ function log(level, message, context = {}) {
       message,
       ...context,
     };
-    console.error(JSON.stringify(entry));
+    // Error messages can quote request content
+    console.error(JSON.stringify(redact(entry)));
   }
 }
 
@@ -209,9 +218,14 @@ function generateSessionId() {
 // ============================================================================
 
 class SessionStore {
-  constructor(ttlMs = 30 * 60 * 1000) {
+  /**
+   * @param {number} [ttlMs] - Idle time after which a session expires
+   * @param {(sessionId: string) => void} [onRemove] - Called for every session deleted or expired
+   */
+  constructor(ttlMs = 30 * 60 * 1000, onRemove = () => {}) {
     this.sessions = new Map();
     this.ttlMs = ttlMs;
+    this.onRemove = onRemove;
   }
 
   create() {
@@ -222,6 +236,7 @@ class SessionStore {
       lastAccess: Date.now(),
       initialized: false,
       pendingMessages: [],
+      droppedMessages: 0,
       eventCounter: 0,
       requestCount: 0,
       errorCount: 0,
@@ -242,7 +257,9 @@ class SessionStore {
 
   delete(sessionId) {
     log(LogLevel.DEBUG, "Session deleted", { sessionId });
-    return this.sessions.delete(sessionId);
+    const deleted = this.sessions.delete(sessionId);
+    if (deleted) this.onRemove(sessionId);
+    return deleted;
   }
 
   cleanup() {
@@ -251,6 +268,7 @@ class SessionStore {
     for (const [id, session] of this.sessions) {
       if (now - session.lastAccess > this.ttlMs) {
         this.sessions.delete(id);
+        this.onRemove(id);
         cleaned++;
       }
     }
@@ -286,7 +304,7 @@ function formatSSEEvent(data, eventId = null) {
   return event;
 }
 
-function createSSEStream() {
+function createSSEStream(onCancel = null) {
   const encoder = new TextEncoder();
   let controller;
 
@@ -294,6 +312,10 @@ function createSSEStream() {
     start(c) {
       controller = c;
     },
+    // Client disconnected
+    cancel() {
+      onCancel?.();
+    },
   });
 
   return {
@@ -328,7 +350,8 @@ export class StreamableHttpTransport {
       ...options,
     };
 
-    this.sessions = new SessionStore(this.options.sessionTtlMs);
+    // Whoever handles messages hears of every session that goes away
+    this.sessions = new SessionStore(this.options.sessionTtlMs, (sessionId) => this.closeHandler?.(sessionId));
     this.messageHandlers = new Map();
     this.circuitBreaker = new CircuitBreaker();
     this.rateLimiter = new RateLimiter({
@@ -387,20 +410,29 @@ export class StreamableHttpTransport {
     }
 
     try {
+      // Who is asking, when the server requires a bearer token
+      let principal = null;
+      if (this.options.auth) {
+        try {
+          principal = await this.options.auth.authenticate(request);
+        } catch (error) {
+          if (!(error instanceof AuthError)) throw error;
+          log(LogLevel.WARN, "Unauthorized request", { method: request.method, reason: error.message });
+          return this.authErrorResponse(request, error);
+        }
+      }
+
       let response;
       switch (request.method) {
         case "POST":
-          response = await withTimeout(
-            this.handlePost(request),
-            this.options.requestTimeoutMs,
-            "Request processing timeout"
-          );
+          // The request timeout applies message by message (see dispatch())
+          response = await this.handlePost(request, principal);
           break;
         case "GET":
-          response = await this.handleGet(request);
+          response = await this.handleGet(request, principal);
           break;
         case "DELETE":
-          response = await this.handleDelete(request);
+          response = await this.handleDelete(request, principal);
           break;
         default:
           response = new Response("Method Not Allowed", { status: 405 });
@@ -430,16 +462,17 @@ export class StreamableHttpTransport {
     }
   }
 
-  async handlePost(request) {
+  async handlePost(request, principal = null) {
     const sessionId = request.headers.get("Mcp-Session-Id");
     const accept = request.headers.get("Accept") || "";
     const wantsSSE = accept.includes("text/event-stream");
 
     let body;
     try {
-      body = await request.json();
-    } catch {
-      return this.jsonResponse({ error: "Invalid JSON" }, 400);
+      body = await withTimeout(request.json(), this.options.requestTimeoutMs, "Request body timeout");
+    } catch (error) {
+      if (error instanceof SyntaxError) return this.jsonResponse({ error: "Invalid JSON" }, 400);
+      return this.jsonResponse({ error: error.message }, 408);
     }
 
     // Validate JSON-RPC structure
@@ -457,12 +490,14 @@ export class StreamableHttpTransport {
     let session;
     if (isInitialize) {
       session = this.sessions.create();
+      // A session is only ever used with the token that opened it
+      session.subject = principal?.subject ?? null;
     } else {
       if (!sessionId) {
         return this.jsonResponse({ error: "Missing Mcp-Session-Id header" }, 400);
       }
       session = this.sessions.get(sessionId);
-      if (!session) {
+      if (!session || !this.ownsSession(session, principal)) {
         return this.jsonResponse({ error: "Session not found" }, 404);
       }
 
@@ -473,13 +508,42 @@ export class StreamableHttpTransport {
       }
     }
 
+    // Tools outside the token's scopes are refused before anything runs
+    if (principal) {
+      for (const msg of messages) {
+        if (msg.method !== "tools/call") continue;
+        try {
+          this.options.auth.authorize(principal, msg.params?.name);
+        } catch (error) {
+          if (!(error instanceof AuthError)) throw error;
+          log(LogLevel.WARN, "Insufficient scope", { subject: principal.subject, tool: msg.params?.name });
+          return this.authErrorResponse(request, error);
+        }
+      }
+    }
+
     session.requestCount++;
+
+    // A single request may send notifications before its response (log
+    // follow): the first one turns the reply into an SSE stream
+    if (wantsSSE && messages.length === 1 && messages[0].id !== undefined && this.messageHandler) {
+      return this.streamingResponse(session, messages[0], principal, request.signal);
+    }
+
     const responses = [];
+    const context = {
+      sessionId: session.id,
+      principal,
+      // Tool calls stop when the client goes away
+      signal: request.signal,
+      // No stream to attach them to: queue for the session's GET stream
+      notify: (notification) => this.sendToSession(session.id, { jsonrpc: "2.0", ...notification }),
+    };
 
     for (const message of messages) {
       if (this.messageHandler) {
         try {
-          const response = await this.messageHandler(message);
+          const response = await this.dispatch(message, context);
           if (response !== undefined) {
             responses.push(response);
           }
@@ -509,7 +573,7 @@ export class StreamableHttpTransport {
     return this.jsonResponse(result, 200, session.id);
   }
 
-  async handleGet(request) {
+  async handleGet(request, principal = null) {
     const sessionId = request.headers.get("Mcp-Session-Id");
 
     if (!sessionId) {
@@ -517,7 +581,7 @@ export class StreamableHttpTransport {
     }
 
     const session = this.sessions.get(sessionId);
-    if (!session) {
+    if (!session || !this.ownsSession(session, principal)) {
       return this.jsonResponse({ error: "Session not found" }, 404);
     }
 
@@ -543,29 +607,36 @@ export class StreamableHttpTransport {
     );
   }
 
-  async handleDelete(request) {
+  async handleDelete(request, principal = null) {
     const sessionId = request.headers.get("Mcp-Session-Id");
 
     if (!sessionId) {
       return this.jsonResponse({ error: "Missing Mcp-Session-Id header" }, 400);
     }
 
-    const deleted = this.sessions.delete(sessionId);
+    const session = this.sessions.get(sessionId);
+    const deleted = Boolean(session) && this.ownsSession(session, principal) && this.sessions.delete(sessionId);
     if (!deleted) {
       return this.jsonResponse({ error: "Session not found" }, 404);
     }
 
-    if (this.closeHandler) {
-      this.closeHandler();
-    }
-
     return new Response(null, { status: 204 });
   }
 
+  // Without auth every session is open to every request
+  ownsSession(session, principal) {
+    return !principal || session.subject === principal.subject;
+  }
+
   sendToSession(sessionId, message) {
     const session = this.sessions.get(sessionId);
-    if (session) {
-      session.pendingMessages.push(message);
+    if (!session) return;
+    session.pendingMessages.push(message);
+    if (session.pendingMessages.length > MAX_PENDING_MESSAGES) {
+      session.pendingMessages.shift();
+      if (session.droppedMessages++ === 0) {
+        log(LogLevel.WARN, "Pending messages over the limit, dropping the oldest", { sessionId });
+      }
     }
   }
 
@@ -589,13 +660,23 @@ export class StreamableHttpTransport {
     if (this.options.enableCors) {
       headers["Access-Control-Allow-Origin"] = "*";
       headers["Access-Control-Allow-Headers"] =
-        "Content-Type, Mcp-Session-Id, MCP-Protocol-Version, Accept";
+        "Content-Type, Authorization, Mcp-Session-Id, MCP-Protocol-Version, Accept";
       headers["Access-Control-Expose-Headers"] =
-        "Mcp-Session-Id, MCP-Protocol-Version";
+        "Mcp-Session-Id, MCP-Protocol-Version, WWW-Authenticate";
     }
     return new Response(JSON.stringify(data), { status, headers });
   }
 
+  /**
+   * 401 or 403 for an AuthError, with the WWW-Authenticate challenge that
+   * points the client at the protected resource metadata
+   */
+  authErrorResponse(request, error) {
+    const response = this.jsonResponse({ error: error.error ?? "unauthorized", error_description: error.message }, error.status);
+    response.headers.set("WWW-Authenticate", this.options.auth.challenge(request, error));
+    return response;
+  }
+
   acceptedResponse(sessionId) {
     const headers = {
       "MCP-Protocol-Version": PROTOCOL_VERSION,
@@ -609,14 +690,92 @@ export class StreamableHttpTransport {
     return new Response(null, { status: 202, headers });
   }
 
-  sseResponse(session, messages) {
-    const sse = createSSEStream();
+  /**
+   * Handle one JSON-RPC message within the request timeout
+   *
+   * tools/call is exempt: a tool call is bounded by its own limits (a
+   * runtime command's deadline, container_wait's `timeout`) and cancelled
+   * when the client goes away, where timing out here would answer 500 and
+   * leave its command running with nothing to check on
+   */
+  dispatch(message, context) {
+    const handled = this.messageHandler(message, context);
+    if (message.method === "tools/call") return handled;
+    return withTimeout(handled, this.options.requestTimeoutMs, "Request processing timeout");
+  }
 
-    for (const msg of messages) {
-      sse.send(msg, this.sessions.nextEventId(session));
-    }
-    sse.close();
+  /**
+   * Answer one request as JSON, or as an SSE stream once it sends a notification
+   *
+   * The handler receives `{ sessionId, principal, signal, notify }`; `signal` fires when
+   * the client drops the request or the stream. Notifications sent after the
+   * request was answered (background jobs) go to the session's standalone stream.
+   */
+  streamingResponse(session, message, principal = null, requestSignal = undefined) {
+    return new Promise((resolve) => {
+      const abort = new AbortController();
+      requestSignal?.addEventListener("abort", () => abort.abort(), { once: true });
+      let sse = null;
+      let closed = false;
+      let answered = false;
+
+      const send = (msg) => {
+        if (closed) return;
+        try {
+          sse.send(msg, this.sessions.nextEventId(session));
+        } catch {
+          // Stream already cancelled by the client
+        }
+      };
+
+      const notify = (notification) => {
+        const msg = { jsonrpc: "2.0", ...notification };
+        if (answered) {
+          this.sendToSession(session.id, msg);
+          return;
+        }
+        if (!sse) {
+          sse = createSSEStream(() => abort.abort());
+          resolve(new Response(sse.stream, { status: 200, headers: this.sseHeaders(session) }));
+        }
+        send(msg);
+      };
+
+      Promise.resolve()
+        .then(() => this.dispatch(message, { sessionId: session.id, principal, signal: abort.signal, notify }))
+        .catch((error) => {
+          session.errorCount++;
+          return {
+            jsonrpc: "2.0",
+            id: message.id,
+            error: {
+              code: -32603,
+              message: error.message,
+            },
+          };
+        })
+        .then((response) => {
+          answered = true;
+          if (!sse) {
+            resolve(
+              response === undefined
+                ? this.acceptedResponse(session.id)
+                : this.jsonResponse(response, 200, session.id),
+            );
+            return;
+          }
+          if (response !== undefined) send(response);
+          closed = true;
+          try {
+            sse.close();
+          } catch {
+            // Stream already cancelled by the client
+          }
+        });
+    });
+  }
 
+  sseHeaders(session) {
     const headers = {
       "Content-Type": "text/event-stream",
       "Cache-Control": "no-cache",
@@ -628,8 +787,18 @@ export class StreamableHttpTransport {
       headers["Access-Control-Expose-Headers"] =
         "Mcp-Session-Id, MCP-Protocol-Version";
     }
+    return headers;
+  }
+
+  sseResponse(session, messages) {
+    const sse = createSSEStream();
 
-    return new Response(sse.stream, { status: 200, headers });
+    for (const msg of messages) {
+      sse.send(msg, this.sessions.nextEventId(session));
+    }
+    sse.close();
+
+    return new Response(sse.stream, { status: 200, headers: this.sseHeaders(session) });
   }
 
   corsResponse(request, status = 200, headers = {}, body = null) {
@@ -640,9 +809,9 @@ export class StreamableHttpTransport {
       responseHeaders["Access-Control-Allow-Methods"] =
         "GET, POST, DELETE, OPTIONS";
       responseHeaders["Access-Control-Allow-Headers"] =
-        "Content-Type, Mcp-Session-Id, MCP-Protocol-Version, Accept, Last-Event-ID";
+        "Content-Type, Authorization, Mcp-Session-Id, MCP-Protocol-Version, Accept, Last-Event-ID";
       responseHeaders["Access-Control-Expose-Headers"] =
-        "Mcp-Session-Id, MCP-Protocol-Version";
+        "Mcp-Session-Id, MCP-Protocol-Version, WWW-Authenticate";
       responseHeaders["Access-Control-Max-Age"] = "86400";
     }
     return new Response(body, { status, headers: responseHeaders });
@@ -654,18 +823,75 @@ export class StreamableHttpTransport {
  * Wraps an MCP server instance to handle HTTP requests
  */
 export class McpHttpAdapter {
-  constructor(mcpServer) {
+  /**
+   * @param {Object} mcpServer - The server core (getTools, callTool)
+   * @param {Object} [options]
+   * @param {Object} [options.auth] - From createAuth(): tools/list shows a token only the tools it may call
+   */
+  constructor(mcpServer, { auth = null } = {}) {
     this.server = mcpServer;
+    this.auth = auth;
+    // Client capabilities and clientInfo by session, from initialize
     this.sessions = new Map();
+    // In-flight tools/call requests by "sessionId:requestId", for notifications/cancelled
+    this.inFlight = new Map();
+    // Requests we sent the client (elicitation), by "sessionId:requestId", awaiting its response
+    this.outgoing = new Map();
+  }
+
+  /**
+   * Forget a session the transport dropped (DELETE or idle expiry): its
+   * calls still running are cancelled and requests awaiting the client fail
+   *
+   * @param {string} sessionId
+   */
+  closeSession(sessionId) {
+    this.sessions.delete(sessionId);
+    const prefix = `${sessionId}:`;
+    for (const [key, controller] of this.inFlight) {
+      if (key.startsWith(prefix)) controller.abort();
+    }
+    for (const [key, settle] of this.outgoing) {
+      if (key.startsWith(prefix)) settle({ error: { message: "Session closed" } });
+    }
+  }
+
+  /**
+   * Send the client a request over the session's stream and wait for its response
+   *
+   * @param {Object} context - { sessionId, notify } of the request this belongs to
+   * @param {AbortSignal} [signal] - Stops waiting (the call was cancelled)
+   * @returns {Promise<Object>} The response's result
+   */
+  request(context, method, params, signal) {
+    const id = `server-${crypto.randomUUID()}`;
+    const key = `${context.sessionId}:${id}`;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.outgoing.delete(key);
+        reject(new Error(`${method} cancelled`));
+      };
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      this.outgoing.set(key, (response) => {
+        this.outgoing.delete(key);
+        signal?.removeEventListener("abort", onAbort);
+        if (response.error) reject(new Error(response.error.message || `${method} failed`));
+        else resolve(response.result);
+      });
+      context.notify({ id, method, params });
+    });
   }
 
   /**
    * Handle an incoming JSON-RPC request
    * @param {Object} message - JSON-RPC message
-   * @param {string} sessionId - Session identifier
+   * @param {Object} context - { sessionId, signal, notify } from the transport
    * @returns {Promise<Object>} JSON-RPC response
    */
-  async handleRequest(message, sessionId = "default") {
+  async handleRequest(message, context = {}) {
     // Try to use the server's internal handler if available
     if (this.server._handleRequest) {
       return await this.server._handleRequest(message);
@@ -674,19 +900,34 @@ export class McpHttpAdapter {
     // Handle standard MCP methods
     const { method, params, id } = message;
 
+    // The client answering one of our requests
+    if (method === undefined && id !== undefined) {
+      this.outgoing.get(`${context.sessionId}:${id}`)?.(message);
+      return undefined;
+    }
+
+    // Notifications (e.g. notifications/initialized) carry no id and get no response
+    if (id === undefined) {
+      if (method === "notifications/cancelled") {
+        this.inFlight.get(`${context.sessionId}:${params?.requestId}`)?.abort();
+      }
+      return undefined;
+    }
+
     try {
       let result;
 
       switch (method) {
         case "initialize":
-          result = await this.handleInitialize(params);
+          result = await this.handleInitialize(params, context);
           break;
         case "tools/list":
-          result = await this.handleToolsList();
+          result = await this.handleToolsList(context);
           break;
         case "tools/call":
-          result = await this.handleToolsCall(params);
+          result = await this.handleToolsCall(params, id, context);
           break;
+        case "logging/setLevel":
         case "ping":
           result = {};
           break;
@@ -714,11 +955,13 @@ export class McpHttpAdapter {
     }
   }
 
-  async handleInitialize(params) {
+  async handleInitialize(params, context = {}) {
+    this.sessions.set(context.sessionId, { capabilities: params?.capabilities || {}, client: params?.clientInfo ?? null });
     return {
       protocolVersion: "2025-06-18",
       capabilities: {
         tools: { listChanged: true },
+        logging: {},
       },
       serverInfo: {
         name: this.server.name || "mcp-server",
@@ -727,19 +970,43 @@ export class McpHttpAdapter {
     };
   }
 
-  async handleToolsList() {
+  async handleToolsList(context = {}) {
     if (this.server.getTools) {
-      return { tools: await this.server.getTools() };
+      const tools = await this.server.getTools();
+      const { principal } = context;
+      return { tools: principal ? tools.filter((tool) => this.auth.permits(principal, tool.name)) : tools };
     }
     return { tools: [] };
   }
 
-  async handleToolsCall(params) {
+  async handleToolsCall(params, id, context) {
     const { name, arguments: args } = params;
-    if (this.server.callTool) {
-      return await this.server.callTool(name, args);
+    if (!this.server.callTool) {
+      throw new Error(`Tool not found: ${name}`);
+    }
+
+    const key = `${context.sessionId}:${id}`;
+    const controller = new AbortController();
+    context.signal?.addEventListener("abort", () => controller.abort(), { once: true });
+    this.inFlight.set(key, controller);
+    try {
+      return await this.server.callTool(name, args, {
+        signal: controller.signal,
+        progressToken: params._meta?.progressToken,
+        sendNotification: context.notify,
+        session: {
+          id: context.sessionId,
+          client: this.sessions.get(context.sessionId)?.client ?? null,
+          ...(context.principal && { subject: context.principal.subject }),
+        },
+        // Destructive calls ask the person at the client, when it supports that
+        elicit: this.sessions.get(context.sessionId)?.capabilities.elicitation
+          ? (request) => this.request(context, "elicitation/create", request, controller.signal)
+          : undefined,
+      });
+    } finally {
+      this.inFlight.delete(key);
     }
-    throw new Error(`Tool not found: ${name}`);
   }
 }
 